@@ -1,62 +1,403 @@
 const STORAGE_KEY = "capturedPlaylistUrls";
 const DOWNLOAD_STATE_KEY = "downloadStateByMediaKey";
-const MAX_ITEMS = 30;
+const DOWNLOAD_QUEUE_KEY = "downloadQueue";
+// Dispatched-but-unfinished jobs; kept in storage.local so they survive browser restarts.
+const DOWNLOAD_JOBS_KEY = "downloadJobs";
+// Unfinished jobs (interrupted, failed, paused) keep their record and segments this long.
+const DOWNLOAD_JOB_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const CAPTURE_RULES_KEY = "captureRules";
+const SETTINGS_KEY = "extensionSettings";
 const OFFSCREEN_DOCUMENT_PATH = "offscreen.html";
-const LESSON_TITLE_SELECTOR = ".lesson-title-value";
-
-// Configurable predicate: keep this focused on your "video" signal.
-const REQUIRED_SUBSTRING = "video";
+// Breadcrumb links, the last-resort source of the course title when no configured selector matches.
+const PAGE_BREADCRUMB_SELECTOR = '.breadcrumbs a, .breadcrumb a, nav[aria-label*="breadcrumb" i] a';
+const COURSE_CAPTURE_STATE_KEY = "courseCaptureState";
+const COURSE_LESSON_LINK_SELECTOR = 'a[href*="/teach/control/lesson/view"]';
+// Module headings between the lesson links of a training page.
+const COURSE_MODULE_HEADING_SELECTOR = ".lesson-list .divider";
+// Headings that may title a single player on a lesson page with several videos.
+const PLAYER_HEADING_SELECTOR = "h1, h2, h3, h4, h5, h6, .f-header";
+const PLAYER_HEADING_MAX_LENGTH = 120;
+// Port name of the in-page download controls injected by content.js.
+const LESSON_PAGE_PORT_NAME = "lessonPage";
+// Progress writes arrive several times a second per job; connected pages get at most one snapshot
+// per this interval.
+const LESSON_PAGE_SNAPSHOT_DELAY_MS = 250;
+const COURSE_TAB_LOAD_TIMEOUT_MS = 45_000;
+const COURSE_CAPTURE_WAIT_MS = 25_000;
+// Chrome downloads started for offscreen jobs, by download id: { mediaKey, kind, filename }. Kept in
+// storage.session so a restarted service worker still settles them from chrome.downloads.onChanged.
+const BROWSER_DOWNLOADS_KEY = "browserDownloads";
+// chrome.downloads.InterruptReason values worth explaining; others are shown as-is.
+const DOWNLOAD_INTERRUPT_REASONS = {
+  FILE_NO_SPACE: "the disk is full",
+  FILE_NAME_TOO_LONG: "the file name is too long",
+  FILE_ACCESS_DENIED: "access to the download folder was denied",
+  FILE_TOO_LARGE: "the file is too large for the target file system",
+  FILE_BLOCKED: "the file was blocked by browser policy",
+  FILE_VIRUS_INFECTED: "the file was flagged by a virus scan",
+  FILE_SECURITY_CHECK_FAILED: "the security check failed",
+  FILE_TRANSIENT_ERROR: "a temporary file system error occurred",
+  FILE_FAILED: "writing the file failed",
+  USER_SHUTDOWN: "the browser was closed"
+};
+// Offscreen job states that free a concurrency slot in the download queue.
+const DOWNLOAD_QUEUE_RELEASING_STATES = new Set(["success", "error", "cancelled", "paused"]);
+const CAPTURE_SOURCE_TYPES = ["custom", "vimeo", "hls", "dash"];
+const HLS_RENDITION_HEIGHTS = "144|180|240|270|360|480|540|576|720|1080|1440|2160";
+const HLS_GENERIC_PLAYLIST_NAMES = /^(?:index|playlist|master|manifest|main|chunklist|prog_index|media|stream|video|variant)$/i;
+const HLS_MASTER_PLAYLIST_NAMES = /^(?:master|playlist|manifest|main)$/i;
+// Renditions tried by swapping the trailing "/<resolution>" of custom playlist URLs.
+const CUSTOM_PROBE_RESOLUTIONS = ["360", "480", "720", "1080"];
+const VARIANT_PROBE_TIMEOUT_MS = 10_000;
+// How long an expired download waits for the page to request its media again.
+const SOURCE_REFRESH_TIMEOUT_MS = 120_000;
+
+// Built-in presets. Users can edit, disable or reorder them on the options page;
+// the first enabled rule that matches a request wins.
+const DEFAULT_CAPTURE_RULES = [
+  {
+    id: "getcourse-playlist",
+    name: "GetCourse playlist",
+    enabled: true,
+    hostGlob: "*",
+    pathRegex: "/api/playlist/media/(?<mediaKey>.+)/(?<resolution>\\d+)/?$",
+    requiredQueryParams: ["user-id"],
+    urlContains: "video",
+    sourceType: "custom"
+  },
+  {
+    id: "vimeo-av-playlist",
+    name: "Vimeo A/V playlist.json",
+    enabled: true,
+    hostGlob: "*.vimeocdn.com",
+    pathRegex: "/v2/playlist/av/(?:.*/)?playlist\\.json$",
+    requiredQueryParams: [],
+    urlContains: "",
+    sourceType: "vimeo"
+  },
+  {
+    id: "generic-hls",
+    name: "Generic HLS playlist",
+    enabled: true,
+    hostGlob: "*",
+    pathRegex: "\\.m3u8$",
+    requiredQueryParams: [],
+    urlContains: "",
+    sourceType: "hls"
+  },
+  {
+    id: "generic-dash",
+    name: "Generic DASH manifest",
+    enabled: true,
+    hostGlob: "*",
+    pathRegex: "\\.mpd$",
+    requiredQueryParams: [],
+    urlContains: "",
+    sourceType: "dash"
+  }
+];
+
+// Retention limits of 0 mean "keep everything".
+const DEFAULT_SETTINGS = {
+  retentionMaxAgeDays: 0,
+  retentionMaxItems: 0,
+  maxConcurrentDownloads: 2,
+  segmentConcurrency: 6,
+  variantPreference: "highest",
+  variantTargetHeight: 720,
+  variantMaxBitrateKbps: 0,
+  subtitleMode: "vtt",
+  audioExportFormat: "m4a",
+  // Fetch retries per error class (see offscreen.js DEFAULT_FETCH_RETRIES); 0 disables the timeout.
+  retryNetwork: 20,
+  retryTimeout: 5,
+  retryAuth: 1,
+  retryNotFound: 1,
+  retryServer: 8,
+  retryRateLimit: 8,
+  retryContentInvalid: 2,
+  requestTimeoutSeconds: 30,
+  // Download path relative to the Downloads folder; see renderFilenameTemplate in filename-template.js.
+  filenameTemplate: "{lessonTitle} {videoId}",
+  filenameTransliterate: false,
+  // Lesson page selectors, one per line and tried in order; see readLessonMetadataFromTab.
+  lessonTitleSelectors: ".lesson-title-value",
+  courseTitleSelectors: ".stream-title\n.training-title",
+  moduleTitleSelectors: "",
+  authorSelectors: '[itemprop="author"]'
+};
+
+// Numeric settings kept within [min, max]; values outside are clamped.
+const SETTING_RANGES = {
+  segmentConcurrency: [1, 32],
+  retryNetwork: [0, 50],
+  retryTimeout: [0, 50],
+  retryAuth: [0, 50],
+  retryNotFound: [0, 50],
+  retryServer: [0, 50],
+  retryRateLimit: [0, 50],
+  retryContentInvalid: [0, 50],
+  requestTimeoutSeconds: [0, 600]
+};
+
+// Settings restricted to a fixed set of values; anything else falls back to the default.
+const SETTING_CHOICES = {
+  variantPreference: ["highest", "height", "bitrate", "avc"],
+  subtitleMode: ["off", "vtt", "srt", "embed"],
+  audioExportFormat: ["m4a", "mp3"]
+};
 
 let storageUpdateQueue = Promise.resolve();
+let downloadQueueUpdate = Promise.resolve();
+let browserDownloadsUpdate = Promise.resolve();
+// Overall percent currently on the badge (null while it shows the capture count).
+let badgeDownloadPercent = null;
+// Media keys marked "running" whose OFFSCREEN_START_DOWNLOAD has not been delivered yet.
+const dispatchingDownloads = new Set();
+const probingVariants = new Set();
 let creatingOffscreenDocument = null;
+let captureRulesCache = null;
+let activeCourseCapture = null;
+// tabId -> lesson context for background tabs opened by "Capture course".
+const courseCaptureTabs = new Map();
+// mediaKey -> callbacks of downloads waiting for a fresh capture after their signed link expired.
+const sourceRefreshWaiters = new Map();
+// Connected lesson pages showing in-page download controls; each gets fresh state on changes.
+const lessonPagePorts = new Set();
+let lessonPageSnapshotTimer = null;
 
-function passesVideoPredicate(urlString) {
-  return urlString.toLowerCase().includes(REQUIRED_SUBSTRING);
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
 }
 
-function extractCustomMediaInfoFromPath(pathname) {
-  const marker = "/api/playlist/media/";
-  const markerIndex = pathname.indexOf(marker);
-  if (markerIndex === -1) {
-    return null;
+function hostGlobToRegExp(glob) {
+  const toPattern = (value) =>
+    value
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+  const normalized = String(glob || "*").trim().toLowerCase();
+  if (normalized.startsWith("*.")) {
+    // "*.example.com" also matches the bare "example.com", like Chrome match patterns.
+    return new RegExp(`^(?:.*\\.)?${toPattern(normalized.slice(2))}$`, "i");
   }
+  return new RegExp(`^${toPattern(normalized)}$`, "i");
+}
 
-  const tail = pathname.slice(markerIndex + marker.length);
-  const tailMatch = tail.match(/^(.+)\/(\d+)\/?$/);
-  if (!tailMatch) {
-    return null;
-  }
+function normalizeCaptureRule(rule, index) {
+  const source = isPlainObject(rule) ? rule : {};
+  const queryParams = Array.isArray(source.requiredQueryParams)
+    ? source.requiredQueryParams
+    : String(source.requiredQueryParams || "").split(",");
 
   return {
-    mediaKey: tailMatch[1],
-    resolution: tailMatch[2],
-    sourceType: "custom"
+    id: typeof source.id === "string" && source.id ? source.id : `rule-${index + 1}`,
+    name: typeof source.name === "string" ? source.name.trim() : "",
+    enabled: source.enabled !== false,
+    hostGlob: typeof source.hostGlob === "string" && source.hostGlob.trim() ? source.hostGlob.trim() : "*",
+    pathRegex: typeof source.pathRegex === "string" ? source.pathRegex.trim() : "",
+    requiredQueryParams: queryParams.map((name) => String(name || "").trim()).filter(Boolean),
+    urlContains: typeof source.urlContains === "string" ? source.urlContains.trim() : "",
+    sourceType: CAPTURE_SOURCE_TYPES.includes(source.sourceType) ? source.sourceType : "custom"
   };
 }
 
-function isVimeoCdnHost(hostname) {
-  return /(^|\.)vimeocdn\.com$/i.test(hostname);
+function validateCaptureRule(rule) {
+  const label = rule.name || rule.id;
+  if (!rule.pathRegex) {
+    throw new Error(`Rule "${label}" needs a path regex.`);
+  }
+  try {
+    new RegExp(rule.pathRegex);
+  } catch (error) {
+    throw new Error(`Rule "${label}" has an invalid path regex: ${error.message}`);
+  }
+}
+
+function compileCaptureRules(rules) {
+  const compiled = [];
+  rules.forEach((rule, index) => {
+    const normalized = normalizeCaptureRule(rule, index);
+    if (!normalized.enabled) {
+      return;
+    }
+
+    try {
+      validateCaptureRule(normalized);
+      compiled.push({
+        ...normalized,
+        hostPattern: hostGlobToRegExp(normalized.hostGlob),
+        pathPattern: new RegExp(normalized.pathRegex)
+      });
+    } catch (error) {
+      console.warn("Skipping invalid capture rule", error);
+    }
+  });
+  return compiled;
+}
+
+async function getStoredCaptureRules() {
+  const data = await chrome.storage.local.get(CAPTURE_RULES_KEY);
+  const stored = Array.isArray(data[CAPTURE_RULES_KEY]) ? data[CAPTURE_RULES_KEY] : DEFAULT_CAPTURE_RULES;
+  return stored.map(normalizeCaptureRule);
 }
 
-function extractVimeoMediaInfoFromParsedUrl(parsed) {
-  const isVimeoPlaylistJson =
-    isVimeoCdnHost(parsed.hostname) &&
-    parsed.pathname.includes("/v2/playlist/av/") &&
-    parsed.pathname.endsWith("/playlist.json");
-  if (!isVimeoPlaylistJson) {
-    return null;
+async function setStoredCaptureRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error("Capture rules must be a list.");
+  }
+
+  const normalized = rules.map(normalizeCaptureRule);
+  normalized.forEach(validateCaptureRule);
+  await chrome.storage.local.set({ [CAPTURE_RULES_KEY]: normalized });
+  captureRulesCache = null;
+  return normalized;
+}
+
+function normalizeSettings(value) {
+  const source = isPlainObject(value) ? value : {};
+  const settings = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_SETTINGS)) {
+    const candidate = source[key];
+    if (typeof fallback === "number") {
+      const number = Number(candidate);
+      settings[key] = candidate !== "" && Number.isFinite(number) && number >= 0 ? Math.floor(number) : fallback;
+      if (SETTING_RANGES[key]) {
+        const [min, max] = SETTING_RANGES[key];
+        settings[key] = Math.min(max, Math.max(min, settings[key]));
+      }
+    } else if (typeof fallback === "boolean") {
+      settings[key] = typeof candidate === "boolean" ? candidate : fallback;
+    } else if (SETTING_CHOICES[key]) {
+      settings[key] = SETTING_CHOICES[key].includes(candidate) ? candidate : fallback;
+    } else {
+      settings[key] = typeof candidate === typeof fallback ? candidate : fallback;
+    }
+  }
+  return settings;
+}
+
+async function getSettings() {
+  const data = await chrome.storage.local.get(SETTINGS_KEY);
+  return normalizeSettings(data[SETTINGS_KEY]);
+}
+
+async function updateSettings(patch) {
+  const current = await getSettings();
+  const next = normalizeSettings({
+    ...current,
+    ...(isPlainObject(patch) ? patch : {})
+  });
+  await chrome.storage.local.set({ [SETTINGS_KEY]: next });
+  return next;
+}
+
+async function getCaptureRules() {
+  if (!captureRulesCache) {
+    captureRulesCache = compileCaptureRules(await getStoredCaptureRules());
   }
+  return captureRulesCache;
+}
 
+function deriveVimeoMediaInfoFromParsedUrl(parsed) {
   const videoIdFromPath = parsed.pathname.match(/\/video\/(\d+)/)?.[1] || "";
   const videoIdFromQuery = parsed.searchParams.get("videoId") || "";
   const eidFromPath = parsed.pathname.match(/\/(e[0-9a-f-]{8,})\//i)?.[1] || "";
   const mediaSeed = videoIdFromPath || videoIdFromQuery || eidFromPath || parsed.pathname;
-  const mediaKey = `vimeo:${mediaSeed}`;
 
   return {
-    mediaKey,
-    resolution: "adaptive",
-    sourceType: "vimeo"
+    mediaKey: `vimeo:${mediaSeed}`,
+    resolution: "adaptive"
+  };
+}
+
+// Collapses master and variant playlists of one stream (".../720p/index.m3u8", ".../master.m3u8",
+// ".../stream_1080.m3u8") into a single mediaKey by dropping rendition tokens from the path.
+function deriveHlsMediaInfoFromParsedUrl(parsed) {
+  const renditionPattern = new RegExp(`(^|[_\\-.])(${HLS_RENDITION_HEIGHTS})p?(?=[_\\-.]|$)`, "i");
+  let resolution = "";
+  const stripRendition = (part) =>
+    part.replace(renditionPattern, (_token, _separator, height) => {
+      resolution = resolution || height;
+      return "";
+    });
+
+  const segments = parsed.pathname.split("/").filter(Boolean);
+  const fileName = segments.pop() || "";
+  const isM3u8File = /\.m3u8$/i.test(fileName);
+  const stem = fileName.replace(/\.m3u8$/i, "");
+  const keyParts = segments.map(stripRendition).filter(Boolean);
+  const strippedStem = stripRendition(stem).replace(/^[_\-.]+|[_\-.]+$/g, "");
+  if (strippedStem && !HLS_GENERIC_PLAYLIST_NAMES.test(strippedStem)) {
+    keyParts.push(strippedStem);
+  }
+
+  if (!resolution && HLS_MASTER_PLAYLIST_NAMES.test(stem)) {
+    resolution = "adaptive";
+  }
+
+  // Playlists detected by Content-Type often have no ".m3u8" name, so the query is what tells streams apart.
+  const querySuffix = isM3u8File ? "" : parsed.search;
+  return {
+    mediaKey: `hls:${parsed.hostname}/${keyParts.join("/")}${querySuffix}`,
+    resolution
+  };
+}
+
+// Used when a rule's path regex has no mediaKey/resolution named groups.
+function deriveDefaultMediaInfo(parsed, sourceType) {
+  if (sourceType === "vimeo") {
+    return deriveVimeoMediaInfoFromParsedUrl(parsed);
+  }
+
+  if (sourceType === "hls") {
+    return deriveHlsMediaInfoFromParsedUrl(parsed);
+  }
+
+  return {
+    mediaKey: `${parsed.hostname}${parsed.pathname}`,
+    resolution: ""
+  };
+}
+
+function isHlsContentType(contentType) {
+  return /^(?:application\/(?:vnd\.apple\.mpegurl|x-mpegurl)|audio\/(?:x-)?mpegurl)\b/i.test(String(contentType || "").trim());
+}
+
+function getResponseHeaderValue(responseHeaders, name) {
+  const header = (Array.isArray(responseHeaders) ? responseHeaders : []).find(
+    (entry) => entry && typeof entry.name === "string" && entry.name.toLowerCase() === name
+  );
+  return header && typeof header.value === "string" ? header.value : "";
+}
+
+// For "hls" rules an HLS Content-Type (seen in onHeadersReceived) stands in for a path regex match.
+function matchCaptureRule(rule, parsed, urlString, options = {}) {
+  if (!rule.hostPattern.test(parsed.hostname)) {
+    return null;
+  }
+
+  const match =
+    parsed.pathname.match(rule.pathPattern) || (rule.sourceType === "hls" && options.hlsContentType === true ? [] : null);
+  if (!match) {
+    return null;
+  }
+
+  if (rule.requiredQueryParams.some((name) => !parsed.searchParams.has(name))) {
+    return null;
+  }
+
+  if (rule.urlContains && !urlString.toLowerCase().includes(rule.urlContains.toLowerCase())) {
+    return null;
+  }
+
+  const groups = match.groups || {};
+  const fallback = deriveDefaultMediaInfo(parsed, rule.sourceType);
+  return {
+    mediaKey: groups.mediaKey || fallback.mediaKey,
+    resolution: groups.resolution || fallback.resolution,
+    sourceType: rule.sourceType,
+    ruleId: rule.id
   };
 }
 
@@ -79,36 +420,38 @@ function extractVimeoPlayerPageInfoFromParsedUrl(parsed) {
 }
 
 function parseResolutionNumber(value) {
+  // Adaptive (master) playlists carry every rendition, so they outrank any single one.
+  if (value === "adaptive") {
+    return Number.POSITIVE_INFINITY;
+  }
   const parsed = Number(value);
   return Number.isFinite(parsed) ? parsed : -1;
 }
 
-function deriveMediaInfoFromUrl(urlString) {
-  try {
-    const parsed = new URL(urlString);
-    const customInfo = extractCustomMediaInfoFromPath(parsed.pathname);
-    if (customInfo) {
-      return customInfo;
-    }
-
-    const vimeoManifestInfo = extractVimeoMediaInfoFromParsedUrl(parsed);
-    if (vimeoManifestInfo) {
-      return vimeoManifestInfo;
-    }
+function deriveMediaInfoFromUrl(urlString, rules) {
+  const matchInfo = parseMatchingInfo(urlString, rules);
+  if (matchInfo) {
+    return matchInfo;
+  }
 
-    return extractVimeoPlayerPageInfoFromParsedUrl(parsed);
+  try {
+    return extractVimeoPlayerPageInfoFromParsedUrl(new URL(urlString));
   } catch {
     return null;
   }
 }
 
-function getMediaKeyFromUrl(urlString) {
-  const mediaInfo = deriveMediaInfoFromUrl(urlString);
-  return mediaInfo ? mediaInfo.mediaKey : urlString;
-}
+async function resolveMessageMediaInfo(message) {
+  const urlString = typeof message.url === "string" ? message.url : "";
+  const derived = urlString ? deriveMediaInfoFromUrl(urlString, await getCaptureRules()) : null;
+  const explicitMediaKey = typeof message.mediaKey === "string" ? message.mediaKey : "";
+  const explicitSourceType = typeof message.sourceType === "string" ? message.sourceType : "";
 
-function isPlainObject(value) {
-  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  return {
+    mediaKey: explicitMediaKey || (derived ? derived.mediaKey : urlString),
+    sourceType: explicitSourceType || (derived ? derived.sourceType : ""),
+    resolution: derived ? String(derived.resolution) : ""
+  };
 }
 
 async function getDownloadStateMap() {
@@ -135,26 +478,250 @@ async function clearDownloadState() {
   await chrome.storage.session.set({ [DOWNLOAD_STATE_KEY]: {} });
 }
 
-async function readLessonTitleFromTab(tabId) {
+function parseSelectorList(value) {
+  return String(value || "")
+    .split("\n")
+    .map((selector) => selector.trim())
+    .filter(Boolean);
+}
+
+// Lesson context scraped from the page: configured selectors first, in order, then generic
+// fallbacks (OpenGraph and meta tags, document.title, breadcrumbs, the position of the lesson in
+// the training list). lessonTitle is only set by a selector; pageTitle is the generic fallback, so
+// callers can rank it below titles from course capture. The poster comes from any frame.
+const EMPTY_LESSON_METADATA = {
+  lessonTitle: "",
+  pageTitle: "",
+  courseTitle: "",
+  moduleTitle: "",
+  moduleIndex: null,
+  lessonIndex: null,
+  author: "",
+  siteName: "",
+  pageUrl: "",
+  posterUrl: ""
+};
+
+async function readLessonMetadataFromTab(tabId) {
+  const empty = { ...EMPTY_LESSON_METADATA };
   if (!Number.isInteger(tabId) || tabId < 0) {
-    return "";
+    return empty;
   }
 
+  const settings = await getSettings();
+  const selectors = {
+    lessonTitle: parseSelectorList(settings.lessonTitleSelectors),
+    courseTitle: parseSelectorList(settings.courseTitleSelectors),
+    moduleTitle: parseSelectorList(settings.moduleTitleSelectors),
+    author: parseSelectorList(settings.authorSelectors)
+  };
+
   try {
     const results = await chrome.scripting.executeScript({
-      target: { tabId },
-      func: (selector) => {
-        const el = document.querySelector(selector);
-        return el ? (el.textContent || "").trim() : "";
+      target: { tabId, allFrames: true },
+      func: (selectorLists, breadcrumbSelector, lessonLinkSelector, moduleHeadingSelector) => {
+        const clean = (value) => String(value || "").replace(/\s+/g, " ").trim();
+        const video = document.querySelector("video[poster]");
+        const posterUrl = video ? video.poster : "";
+        if (window !== window.top) {
+          return { posterUrl };
+        }
+
+        const queryFirst = (list) => {
+          for (const selector of list) {
+            let el = null;
+            try {
+              el = document.querySelector(selector);
+            } catch {
+              // Invalid selectors in the settings are skipped.
+              continue;
+            }
+            const text = clean(el && (el.tagName === "META" ? el.content : el.textContent));
+            if (text) {
+              return text;
+            }
+          }
+          return "";
+        };
+        const readMeta = (name) => {
+          const el = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+          return clean(el && el.content);
+        };
+
+        const siteName = readMeta("og:site_name");
+        let pageTitle = readMeta("og:title") || clean(document.title);
+        for (const separator of [" - ", " | ", " — "]) {
+          if (siteName && pageTitle.endsWith(`${separator}${siteName}`)) {
+            pageTitle = pageTitle.slice(0, -(separator.length + siteName.length)).trim();
+          }
+        }
+        const lessonTitle = queryFirst(selectorLists.lessonTitle);
+
+        // Lesson number and module from the training list shown next to the lesson, if any.
+        let lessonIndex = null;
+        let listModuleTitle = "";
+        let listModuleIndex = null;
+        let moduleTitle = "";
+        let moduleIndex = 0;
+        const seenLinks = new Set();
+        for (const el of document.querySelectorAll(`${lessonLinkSelector}, ${moduleHeadingSelector}`)) {
+          if (el.matches(moduleHeadingSelector)) {
+            moduleTitle = clean(el.textContent);
+            moduleIndex += 1;
+            continue;
+          }
+          let href;
+          try {
+            href = new URL(el.getAttribute("href") || "", location.href);
+          } catch {
+            continue;
+          }
+          href.hash = "";
+          if (seenLinks.has(href.href)) {
+            continue;
+          }
+          seenLinks.add(href.href);
+          if (href.pathname === location.pathname && href.search === location.search) {
+            lessonIndex = seenLinks.size;
+            listModuleTitle = moduleTitle;
+            listModuleIndex = moduleIndex || null;
+            break;
+          }
+        }
+
+        const breadcrumbs = Array.from(document.querySelectorAll(breadcrumbSelector))
+          .map((el) => clean(el.textContent))
+          .filter((text) => text && text !== lessonTitle && text !== pageTitle);
+
+        return {
+          lessonTitle,
+          pageTitle,
+          courseTitle: queryFirst(selectorLists.courseTitle) || breadcrumbs[breadcrumbs.length - 1] || "",
+          moduleTitle: queryFirst(selectorLists.moduleTitle) || listModuleTitle,
+          moduleIndex: listModuleIndex,
+          lessonIndex,
+          author: queryFirst(selectorLists.author) || readMeta("author") || readMeta("article:author"),
+          siteName: siteName || location.hostname,
+          pageUrl: location.href,
+          posterUrl
+        };
       },
-      args: [LESSON_TITLE_SELECTOR]
+      args: [selectors, PAGE_BREADCRUMB_SELECTOR, COURSE_LESSON_LINK_SELECTOR, COURSE_MODULE_HEADING_SELECTOR]
     });
-    return typeof results[0]?.result === "string" ? results[0].result.trim() : "";
+    const frames = results.map((entry) => entry && entry.result).filter(isPlainObject);
+    const top = frames.find((frame) => typeof frame.pageUrl === "string") || {};
+    return {
+      ...empty,
+      ...top,
+      posterUrl: frames.map((frame) => frame.posterUrl).find((url) => /^https?:\/\//i.test(url || "")) || ""
+    };
   } catch {
-    return "";
+    return empty;
   }
 }
 
+// Which player on the page made a request, as { index, count, heading } with a 1-based index in
+// DOM order. Players are the <video> elements and player-sized iframes of the top document. A
+// request from a subframe belongs to the top-level iframe that frame lives in; one from the top
+// document belongs to the playing <video> (or the only one). heading is the last heading between
+// the previous player and this one. Returns null when the player cannot be told apart.
+async function locateRequestPlayer(tabId, frameId, lessonTitle) {
+  if (!Number.isInteger(tabId) || tabId < 0 || !Number.isInteger(frameId) || frameId < 0) {
+    return null;
+  }
+
+  try {
+    let frameTarget = null;
+    if (frameId > 0) {
+      const frames = (await chrome.webNavigation.getAllFrames({ tabId })) || [];
+      const byId = new Map(frames.map((frame) => [frame.frameId, frame]));
+      let frame = byId.get(frameId);
+      while (frame && frame.parentFrameId > 0) {
+        frame = byId.get(frame.parentFrameId);
+      }
+      if (!frame) {
+        return null;
+      }
+      // Several iframes may load the same URL; frame ids grow in creation order, which follows the DOM.
+      const occurrence = frames
+        .filter((other) => other.parentFrameId === 0 && other.url === frame.url)
+        .sort((a, b) => a.frameId - b.frameId)
+        .findIndex((other) => other.frameId === frame.frameId);
+      frameTarget = { url: frame.url, occurrence: Math.max(0, occurrence) };
+    }
+
+    const results = await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [0] },
+      func: (target, headingSelector, pageLessonTitle, headingMaxLength) => {
+        const clean = (value) => String(value || "").replace(/\s+/g, " ").trim();
+        const follows = (a, b) => Boolean(a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING);
+        const players = Array.from(document.querySelectorAll("iframe, video")).filter((el) => {
+          if (el.tagName === "VIDEO") {
+            return true;
+          }
+          const rect = el.getBoundingClientRect();
+          return rect.width >= 160 && rect.height >= 90;
+        });
+
+        let player = null;
+        if (target) {
+          const iframes = Array.from(document.querySelectorAll("iframe"));
+          const samePath = (el) => {
+            try {
+              const a = new URL(el.src);
+              const b = new URL(target.url);
+              return a.origin === b.origin && a.pathname === b.pathname;
+            } catch {
+              return false;
+            }
+          };
+          const sameUrl = iframes.filter((el) => el.src === target.url);
+          player = sameUrl[target.occurrence] || sameUrl[0] || iframes.find(samePath) || null;
+        } else {
+          const videos = players.filter((el) => el.tagName === "VIDEO");
+          player = videos.find((video) => !video.paused) || (videos.length === 1 ? videos[0] : null);
+        }
+        if (!player) {
+          return null;
+        }
+        if (!players.includes(player)) {
+          players.push(player);
+          players.sort((a, b) => (follows(a, b) ? -1 : 1));
+        }
+
+        const index = players.indexOf(player);
+        const previous = index > 0 ? players[index - 1] : null;
+        let heading = "";
+        for (const el of document.querySelectorAll(headingSelector)) {
+          if (!follows(el, player)) {
+            break;
+          }
+          if (previous && !follows(previous, el)) {
+            continue;
+          }
+          const text = clean(el.textContent);
+          if (text && text !== pageLessonTitle) {
+            heading = text.slice(0, headingMaxLength);
+          }
+        }
+        return { index: index + 1, count: players.length, heading };
+      },
+      args: [frameTarget, PLAYER_HEADING_SELECTOR, lessonTitle || "", PLAYER_HEADING_MAX_LENGTH]
+    });
+    const player = results[0]?.result;
+    return isPlainObject(player) && player.index > 0 ? player : null;
+  } catch {
+    return null;
+  }
+}
+
+// "Video 2 of 3" for items from pages with several players; empty otherwise.
+function formatPlayerLabel(item) {
+  const index = Number(item && item.playerIndex);
+  const count = Number(item && item.playerCount);
+  return index > 0 && count > 1 ? `Video ${index} of ${count}` : "";
+}
+
 async function readVimeoPlayerPageUrlFromTab(tabId) {
   if (!Number.isInteger(tabId) || tabId < 0) {
     return "";
@@ -212,7 +779,20 @@ function pickVimeoCdnUrlFromBlock(block) {
   return "";
 }
 
-async function readVimeoSourcesFromTab(tabId) {
+// Vimeo text_tracks URLs are relative to the player page.
+function resolveVimeoTextTrackUrls(textTracks, playerPageUrl) {
+  const resolved = [];
+  for (const track of Array.isArray(textTracks) ? textTracks : []) {
+    try {
+      resolved.push({ ...track, url: new URL(track.url, playerPageUrl).href, format: "vtt" });
+    } catch {
+      // Skip tracks whose URL cannot be resolved.
+    }
+  }
+  return resolved;
+}
+
+async function readVimeoSourcesFromTab(tabId, preferredHeight = 0) {
   if (!Number.isInteger(tabId) || tabId < 0) {
     return null;
   }
@@ -243,11 +823,29 @@ async function readVimeoSourcesFromTab(tabId) {
                 }))
             : [];
 
+          const textTracks = Array.isArray(config.request.text_tracks)
+            ? config.request.text_tracks
+                .filter((track) => track && typeof track.url === "string" && track.url)
+                .map((track) => ({
+                  url: track.url,
+                  language: typeof track.lang === "string" ? track.lang : "",
+                  label: typeof track.label === "string" ? track.label : ""
+                }))
+            : [];
+
+          const thumbs = config.video && config.video.thumbs ? config.video.thumbs : {};
+          const thumbSizes = Object.keys(thumbs)
+            .filter((size) => /^\d+$/.test(size))
+            .sort((a, b) => Number(b) - Number(a));
+          const posterUrl = thumbSizes.length > 0 ? thumbs[thumbSizes[0]] : thumbs.base || "";
+
           return {
             playerPageUrl: location.href,
             progressive,
             hls: files.hls || null,
-            dash: files.dash || null
+            dash: files.dash || null,
+            textTracks,
+            posterUrl: typeof posterUrl === "string" ? posterUrl : ""
           };
         } catch {
           return null;
@@ -264,15 +862,18 @@ async function readVimeoSourcesFromTab(tabId) {
     const hlsUrl = pickVimeoCdnUrlFromBlock(data.hls);
     const dashUrl = pickVimeoCdnUrlFromBlock(data.dash);
     const progressiveList = Array.isArray(data.progressive) ? data.progressive : [];
-    const progressive = progressiveList
-      .slice()
-      .sort((a, b) => {
-        const h = (Number(b.height) || -1) - (Number(a.height) || -1);
-        if (h !== 0) {
-          return h;
-        }
-        return (Number(b.bitrate) || -1) - (Number(a.bitrate) || -1);
-      })[0];
+    const sortedProgressive = progressiveList.slice().sort((a, b) => {
+      const h = (Number(b.height) || -1) - (Number(a.height) || -1);
+      if (h !== 0) {
+        return h;
+      }
+      return (Number(b.bitrate) || -1) - (Number(a.bitrate) || -1);
+    });
+    const progressive =
+      preferredHeight > 0
+        ? sortedProgressive.find((entry) => (Number(entry.height) || -1) <= preferredHeight) ||
+          sortedProgressive[sortedProgressive.length - 1]
+        : sortedProgressive[0];
 
     return {
       playerPageUrl: typeof data.playerPageUrl === "string" ? data.playerPageUrl : "",
@@ -285,7 +886,9 @@ async function readVimeoSourcesFromTab(tabId) {
             }
           : null,
       hlsUrl,
-      dashUrl
+      dashUrl,
+      textTracks: resolveVimeoTextTrackUrls(data.textTracks, data.playerPageUrl),
+      posterUrl: typeof data.posterUrl === "string" ? data.posterUrl : ""
     };
   } catch {
     return null;
@@ -338,7 +941,118 @@ async function ensureOffscreenDocument() {
   await creatingOffscreenDocument;
 }
 
-function normalizeCapturedItems(items) {
+// Every rendition seen for one mediaKey as { resolution, url }, best first. Lists are given oldest
+// first; a later URL for the same resolution replaces an earlier one.
+function mergeItemVariants(...lists) {
+  const byResolution = new Map();
+  for (const list of lists) {
+    for (const variant of Array.isArray(list) ? list : []) {
+      if (!isPlainObject(variant) || typeof variant.url !== "string" || !variant.url) {
+        continue;
+      }
+      const resolution = String(variant.resolution || "");
+      if (resolution) {
+        byResolution.set(resolution, { resolution, url: variant.url });
+      }
+    }
+  }
+  return [...byResolution.values()].sort(
+    (a, b) => parseResolutionNumber(b.resolution) - parseResolutionNumber(a.resolution)
+  );
+}
+
+async function fetchProbeText(urlString) {
+  const response = await fetch(urlString, {
+    credentials: "include",
+    signal: AbortSignal.timeout(VARIANT_PROBE_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+function buildSiblingResolutionUrl(urlString, resolution) {
+  const parsed = new URL(urlString);
+  if (!/\/\d+\/?$/.test(parsed.pathname)) {
+    return "";
+  }
+  parsed.pathname = parsed.pathname.replace(/\/\d+(\/?)$/, `/${resolution}$1`);
+  return parsed.toString();
+}
+
+async function probeCustomSiblingVariants(item) {
+  const known = new Set(mergeItemVariants(item.variants, [item]).map((variant) => variant.resolution));
+  const found = [];
+  for (const resolution of CUSTOM_PROBE_RESOLUTIONS) {
+    const url = known.has(resolution) ? "" : buildSiblingResolutionUrl(item.url, resolution);
+    if (!url) {
+      continue;
+    }
+    try {
+      if ((await fetchProbeText(url)).trimStart().startsWith("#EXTM3U")) {
+        found.push({ resolution, url });
+      }
+    } catch {
+      // Missing renditions answer with 404 or a non-playlist body; neither is worth reporting.
+    }
+  }
+  return found;
+}
+
+// Vimeo keeps every rendition in one playlist.json; a variant only records the track height,
+// and the download picks the matching track from whatever signed URL is current.
+async function listVimeoManifestVariants(item) {
+  const manifest = JSON.parse(await fetchProbeText(item.url));
+  const tracks = ["muxed", "audio_video", "video"].flatMap((family) =>
+    Array.isArray(manifest?.[family]) ? manifest[family] : []
+  );
+  const heights = new Set(tracks.map((track) => Number(track?.height)).filter((height) => height > 0));
+  return [...heights].map((height) => ({ resolution: String(height), url: item.url }));
+}
+
+async function recordItemVariants(mediaKey, variants) {
+  const items = await getCapturedItems();
+  const item = items.find((candidate) => candidate && candidate.mediaKey === mediaKey);
+  if (!item) {
+    return;
+  }
+  item.variants = mergeItemVariants(item.variants, [item], variants);
+  item.variantsProbed = true;
+  await setCapturedItems(items);
+}
+
+// Runs outside the capture queue (it waits on the network) and writes its result through it.
+async function probeItemVariants(mediaKey) {
+  if (probingVariants.has(mediaKey)) {
+    return;
+  }
+  const item = (await getCapturedItems()).find((candidate) => candidate && candidate.mediaKey === mediaKey);
+  if (!item || item.variantsProbed || (item.sourceType !== "custom" && item.sourceType !== "vimeo")) {
+    return;
+  }
+
+  probingVariants.add(mediaKey);
+  try {
+    let variants = [];
+    try {
+      variants =
+        item.sourceType === "vimeo" ? await listVimeoManifestVariants(item) : await probeCustomSiblingVariants(item);
+    } catch (error) {
+      console.warn("Failed to probe media variants", error);
+    }
+    storageUpdateQueue = storageUpdateQueue
+      .then(() => recordItemVariants(mediaKey, variants))
+      .catch((error) => {
+        console.error("Failed to record media variants", error);
+      });
+    await storageUpdateQueue;
+  } finally {
+    probingVariants.delete(mediaKey);
+  }
+}
+
+function normalizeCapturedItems(items, rules, settings) {
   const byMediaKey = new Map();
   const passthroughItems = [];
 
@@ -351,7 +1065,7 @@ function normalizeCapturedItems(items) {
     const itemMediaInfo =
       item.mediaKey && item.resolution
         ? { mediaKey: item.mediaKey, resolution: String(item.resolution) }
-        : deriveMediaInfoFromUrl(item.url);
+        : deriveMediaInfoFromUrl(item.url, rules);
 
     if (!itemMediaInfo) {
       passthroughItems.push({
@@ -382,13 +1096,15 @@ function normalizeCapturedItems(items) {
       byMediaKey.set(itemMediaInfo.mediaKey, {
         ...candidate,
         lessonTitle: candidate.lessonTitle || existing.lessonTitle || "",
-        timestamp: Math.max(candidate.timestamp, existing.timestamp)
+        timestamp: Math.max(candidate.timestamp, existing.timestamp),
+        variants: mergeItemVariants(existing.variants, [existing], candidate.variants, [candidate])
       });
     } else {
       byMediaKey.set(itemMediaInfo.mediaKey, {
         ...existing,
         lessonTitle: existing.lessonTitle || candidate.lessonTitle || "",
-        timestamp: Math.max(existing.timestamp, candidate.timestamp)
+        timestamp: Math.max(existing.timestamp, candidate.timestamp),
+        variants: mergeItemVariants(candidate.variants, [candidate], existing.variants, [existing])
       });
     }
   }
@@ -396,15 +1112,20 @@ function normalizeCapturedItems(items) {
   const combined = [...byMediaKey.values(), ...passthroughItems];
   combined.sort((a, b) => (Number(b.timestamp) || 0) - (Number(a.timestamp) || 0));
 
+  const maxAgeMs = settings.retentionMaxAgeDays * 24 * 60 * 60 * 1000;
+  const oldestTimestamp = maxAgeMs > 0 ? Date.now() - maxAgeMs : 0;
   const deduped = [];
   const seenUrls = new Set();
   for (const item of combined) {
     if (seenUrls.has(item.url)) {
       continue;
     }
+    if (oldestTimestamp > 0 && (Number(item.timestamp) || 0) < oldestTimestamp) {
+      continue;
+    }
     seenUrls.add(item.url);
     deduped.push(item);
-    if (deduped.length >= MAX_ITEMS) {
+    if (settings.retentionMaxItems > 0 && deduped.length >= settings.retentionMaxItems) {
       break;
     }
   }
@@ -412,7 +1133,7 @@ function normalizeCapturedItems(items) {
   return deduped;
 }
 
-function parseMatchingInfo(urlString) {
+function parseMatchingInfo(urlString, rules, options = {}) {
   let parsed;
   try {
     parsed = new URL(urlString);
@@ -420,47 +1141,84 @@ function parseMatchingInfo(urlString) {
     return null;
   }
 
-  const customInfo = extractCustomMediaInfoFromPath(parsed.pathname);
-  if (customInfo) {
-    if (!parsed.searchParams.has("user-id")) {
+  if (options.hlsContentType === true) {
+    // URLs owned by a more specific rule (e.g. GetCourse playlists) are never re-captured as generic HLS.
+    const claimedBySpecificRule = rules.some(
+      (rule) => rule.sourceType !== "hls" && rule.hostPattern.test(parsed.hostname) && rule.pathPattern.test(parsed.pathname)
+    );
+    if (claimedBySpecificRule) {
       return null;
     }
-
-    if (!passesVideoPredicate(urlString)) {
-      return null;
-    }
-
-    return customInfo;
   }
 
-  const vimeoManifestInfo = extractVimeoMediaInfoFromParsedUrl(parsed);
-  if (vimeoManifestInfo) {
-    return vimeoManifestInfo;
+  for (const rule of rules) {
+    const matchInfo = matchCaptureRule(rule, parsed, urlString, options);
+    if (matchInfo) {
+      return matchInfo;
+    }
   }
 
-  // Capture only canonical Vimeo A/V manifests to avoid duplicate short/auxiliary entries.
+  // Vimeo player pages and auxiliary manifests are not captured to avoid duplicate short entries.
   return null;
 }
 
 async function getCapturedItems() {
-  const data = await chrome.storage.session.get(STORAGE_KEY);
+  const data = await chrome.storage.local.get(STORAGE_KEY);
   return Array.isArray(data[STORAGE_KEY]) ? data[STORAGE_KEY] : [];
 }
 
 async function setCapturedItems(items) {
-  await chrome.storage.session.set({ [STORAGE_KEY]: items });
+  await chrome.storage.local.set({ [STORAGE_KEY]: items });
+}
+
+// Average progress percent of the running downloads, or null when none reports progress.
+function getOverallDownloadPercent(stateMap) {
+  const percents = Object.values(stateMap)
+    .filter((state) => isPlainObject(state) && state.state === "running" && isPlainObject(state.progress))
+    .map((state) => Number(state.progress.percent) || 0);
+  return percents.length > 0 ? Math.floor(percents.reduce((sum, value) => sum + value, 0) / percents.length) : null;
 }
 
+// While downloads run the badge shows their overall percent; otherwise the capture count.
 async function updateBadgeCount(count) {
-  const text = count > 0 ? String(count) : "";
+  badgeDownloadPercent = getOverallDownloadPercent(await getDownloadStateMap());
+  const text = badgeDownloadPercent !== null ? `${badgeDownloadPercent}%` : count > 0 ? String(count) : "";
   await chrome.action.setBadgeText({ text });
-  if (count > 0) {
-    await chrome.action.setBadgeBackgroundColor({ color: "#0f766e" });
+  if (text) {
+    await chrome.action.setBadgeBackgroundColor({ color: badgeDownloadPercent !== null ? "#2563eb" : "#0f766e" });
+  }
+}
+
+async function refreshDownloadBadge() {
+  if (getOverallDownloadPercent(await getDownloadStateMap()) !== badgeDownloadPercent) {
+    await updateBadgeCount((await getCapturedItems()).length);
   }
 }
 
-async function captureUrl(urlString, tabId) {
-  const matchInfo = parseMatchingInfo(urlString);
+// Page metadata kept on the captured item for naming and tagging; empty values are left out so
+// they do not overwrite what an earlier capture found.
+function pickLessonMetadataFields(pageMetadata) {
+  const fields = {
+    pageUrl: pageMetadata.pageUrl,
+    siteName: pageMetadata.siteName,
+    courseTitle: pageMetadata.courseTitle,
+    moduleTitle: pageMetadata.moduleTitle,
+    moduleIndex: pageMetadata.moduleIndex,
+    lessonOrder: pageMetadata.lessonIndex,
+    author: pageMetadata.author,
+    posterUrl: pageMetadata.posterUrl
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== "" && value !== null));
+}
+
+async function captureUrl(urlString, tabId, options = {}) {
+  const rules = await getCaptureRules();
+  if (options.hlsContentType === true && parseMatchingInfo(urlString, rules)) {
+    // Already captured by path in onBeforeRequest.
+    return;
+  }
+
+  const matchInfo = parseMatchingInfo(urlString, rules, options);
   if (!matchInfo) {
     return;
   }
@@ -472,18 +1230,32 @@ async function captureUrl(urlString, tabId) {
   const rememberedLessonTitle =
     (existingForMedia && typeof existingForMedia.lessonTitle === "string" ? existingForMedia.lessonTitle : "") ||
     (existingForUrl && typeof existingForUrl.lessonTitle === "string" ? existingForUrl.lessonTitle : "");
-  const lessonTitle = rememberedLessonTitle || (await readLessonTitleFromTab(tabId));
+  const courseLesson = courseCaptureTabs.get(tabId) || null;
+  // Page context is read once per media; later captures (other resolutions, refreshed links) reuse it.
+  const pageMetadata =
+    existingForMedia && existingForMedia.pageUrl ? null : await readLessonMetadataFromTab(tabId);
+  const lessonTitle =
+    rememberedLessonTitle ||
+    (pageMetadata ? pageMetadata.lessonTitle : "") ||
+    (courseLesson ? courseLesson.title : "") ||
+    (pageMetadata ? pageMetadata.pageTitle : "");
+  const player =
+    existingForMedia && Number(existingForMedia.playerIndex) > 0
+      ? null
+      : await locateRequestPlayer(tabId, options.frameId, lessonTitle);
   const newEntry = {
     url: urlString,
     timestamp: now,
     resolution: matchInfo.resolution,
     mediaKey: matchInfo.mediaKey,
+    sourceType: matchInfo.sourceType,
     lessonTitle
   };
 
   let highestForMedia = newEntry;
   const otherItems = [];
   let bestLessonTitle = lessonTitle;
+  const seenVariants = [];
 
   for (const item of existingItems) {
     if (!item || typeof item.url !== "string") {
@@ -493,13 +1265,14 @@ async function captureUrl(urlString, tabId) {
     const itemMediaInfo =
       item.mediaKey && item.resolution
         ? { mediaKey: item.mediaKey, resolution: String(item.resolution) }
-        : deriveMediaInfoFromUrl(item.url);
+        : deriveMediaInfoFromUrl(item.url, rules);
 
     const itemMediaKey = itemMediaInfo ? itemMediaInfo.mediaKey : null;
     if (itemMediaKey === matchInfo.mediaKey) {
       if (!bestLessonTitle && typeof item.lessonTitle === "string" && item.lessonTitle) {
         bestLessonTitle = item.lessonTitle;
       }
+      seenVariants.push(item.variants, [{ url: item.url, resolution: itemMediaInfo.resolution }]);
       const itemResolutionNumber = parseResolutionNumber(itemMediaInfo.resolution);
       const highestResolutionNumber = parseResolutionNumber(highestForMedia.resolution);
       if (itemResolutionNumber > highestResolutionNumber) {
@@ -519,118 +1292,1376 @@ async function captureUrl(urlString, tabId) {
     otherItems.push(item);
   }
 
-  // Keep only one entry per mediaKey and surface it as most recent.
+  // Keep only one entry per mediaKey and surface it as most recent; other resolutions live on as variants.
   const topEntry = {
     ...highestForMedia,
     timestamp: now,
     mediaKey: matchInfo.mediaKey,
+    sourceType: highestForMedia.sourceType || matchInfo.sourceType,
+    variants: mergeItemVariants(...seenVariants, [newEntry]),
     lessonTitle:
       bestLessonTitle ||
       (typeof highestForMedia.lessonTitle === "string" ? highestForMedia.lessonTitle : "") ||
-      ""
+      "",
+    ...(pageMetadata && pageMetadata.pageUrl ? pickLessonMetadataFields(pageMetadata) : {}),
+    ...(player ? { playerIndex: player.index, playerCount: player.count, playerHeading: player.heading } : {}),
+    ...(courseLesson
+      ? {
+          lessonOrder: courseLesson.order,
+          courseTitle: courseLesson.courseTitle,
+          moduleTitle: courseLesson.moduleTitle,
+          moduleIndex: courseLesson.moduleIndex
+        }
+      : {})
   };
 
-  const nextItems = normalizeCapturedItems([topEntry, ...otherItems]);
+  const nextItems = normalizeCapturedItems([topEntry, ...otherItems], rules, await getSettings());
 
   await setCapturedItems(nextItems);
   await updateBadgeCount(nextItems.length);
-}
-
-chrome.webRequest.onBeforeRequest.addListener(
-  (details) => {
-    // We observe only (no blocking). For webRequest visibility across real-world pages,
-    // Chrome requires host permissions for both:
-    // 1) the requested URL and
-    // 2) the initiator/origin making the request.
-    // <all_urls> in host_permissions ensures we do not miss valid captures.
-    storageUpdateQueue = storageUpdateQueue.then(() => captureUrl(details.url, details.tabId)).catch((error) => {
-      console.error("Failed to capture media URL", error);
+  if (courseLesson && typeof courseLesson.onCapture === "function") {
+    courseLesson.onCapture(matchInfo.mediaKey);
+  }
+  for (const notify of [...(sourceRefreshWaiters.get(matchInfo.mediaKey) || [])]) {
+    notify(urlString);
+  }
+  if (!topEntry.variantsProbed) {
+    probeItemVariants(matchInfo.mediaKey).catch((error) => {
+      console.error("Failed to probe media variants", error);
     });
-  },
-  { urls: ["<all_urls>"] }
-);
-
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
-  if (!message || typeof message !== "object") {
-    return undefined;
   }
+}
 
-  if (message.type === "START_DOWNLOAD") {
-    (async () => {
-      const urlString = typeof message.url === "string" ? message.url : "";
-      if (!urlString) {
-        throw new Error("Missing URL for download.");
+// Media URLs a tab already loaded, for captures missed while the service worker was asleep or the
+// extension was reloaded: resource timing entries, <video>/<source> and <iframe> URLs of every
+// frame, and the DASH (else HLS) manifests of Vimeo player configs. Runs in the MAIN world to see
+// window.playerConfig.
+async function readLoadedMediaUrlsFromTab(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    world: "MAIN",
+    func: () => {
+      const urls = new Set();
+      const add = (value) => {
+        if (typeof value === "string" && /^https?:\/\//i.test(value)) {
+          urls.add(value);
+        }
+      };
+      try {
+        for (const entry of performance.getEntriesByType("resource")) {
+          add(entry.name);
+        }
+      } catch {
+        // Resource timing unavailable in this frame.
       }
-      const tabId = Number.isInteger(message.tabId) ? message.tabId : null;
-      const pageUrl = typeof message.pageUrl === "string" ? message.pageUrl : "";
-
-      const mediaKey = getMediaKeyFromUrl(urlString);
-      await updateDownloadState(mediaKey, {
+      for (const el of document.querySelectorAll("video, source, iframe")) {
+        add(el.currentSrc || el.src);
+      }
+      try {
+        const files = window.playerConfig && window.playerConfig.request ? window.playerConfig.request.files : null;
+        const block = files ? (files.dash && files.dash.cdns ? files.dash : files.hls) : null;
+        for (const cdn of Object.values((block && block.cdns) || {})) {
+          add(cdn && (cdn.avc_url || cdn.url));
+        }
+      } catch {
+        // Not a Vimeo player frame.
+      }
+      return Array.from(urls);
+    }
+  });
+  return results
+    .filter((entry) => entry && Array.isArray(entry.result))
+    .flatMap((entry) => entry.result.map((url) => ({ url, frameId: entry.frameId })));
+}
+
+// Feeds every matching URL of an already-loaded tab through captureUrl as if it had just been
+// requested. Returns the number of distinct media found.
+async function scanTabForMedia(tabId) {
+  if (!Number.isInteger(tabId) || tabId < 0) {
+    throw new Error("No active tab to scan.");
+  }
+
+  const rules = await getCaptureRules();
+  const seenUrls = new Set();
+  const mediaKeys = new Set();
+  const captures = [];
+  for (const { url, frameId } of await readLoadedMediaUrlsFromTab(tabId)) {
+    const matchInfo = seenUrls.has(url) ? null : parseMatchingInfo(url, rules);
+    seenUrls.add(url);
+    if (!matchInfo) {
+      continue;
+    }
+    mediaKeys.add(matchInfo.mediaKey);
+    storageUpdateQueue = storageUpdateQueue.then(() => captureUrl(url, tabId, { frameId })).catch((error) => {
+      console.error("Failed to capture scanned media URL", error);
+    });
+    captures.push(storageUpdateQueue);
+  }
+  await Promise.all(captures);
+  return mediaKeys.size;
+}
+
+async function readCourseLessonsFromTab(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (linkSelector, moduleSelector) => {
+      const seen = new Set();
+      const lessons = [];
+      let moduleTitle = "";
+      let moduleIndex = 0;
+      for (const anchor of Array.from(document.querySelectorAll(`${linkSelector}, ${moduleSelector}`))) {
+        if (anchor.matches(moduleSelector)) {
+          moduleTitle = String(anchor.textContent || "").replace(/\s+/g, " ").trim();
+          moduleIndex += 1;
+          continue;
+        }
+        let url;
+        try {
+          url = new URL(anchor.getAttribute("href") || "", location.href);
+        } catch {
+          continue;
+        }
+        url.hash = "";
+        if (seen.has(url.href)) {
+          continue;
+        }
+        seen.add(url.href);
+
+        const titleEl = anchor.querySelector(".link.title, .title, .lesson-title-value");
+        const titleSource = titleEl ? titleEl.firstChild?.textContent || titleEl.textContent : anchor.textContent;
+        lessons.push({
+          url: url.href,
+          title: String(titleSource || "").replace(/\s+/g, " ").trim(),
+          moduleTitle,
+          moduleIndex
+        });
+      }
+
+      const courseTitleEl = document.querySelector(".stream-title, .training-title, h1");
+      return {
+        courseTitle: String((courseTitleEl && courseTitleEl.textContent) || document.title || "")
+          .replace(/\s+/g, " ")
+          .trim(),
+        lessons
+      };
+    },
+    args: [COURSE_LESSON_LINK_SELECTOR, COURSE_MODULE_HEADING_SELECTOR]
+  });
+
+  const result = results[0]?.result;
+  return isPlainObject(result) && Array.isArray(result.lessons) ? result : { courseTitle: "", lessons: [] };
+}
+
+async function getCourseCaptureState() {
+  const data = await chrome.storage.session.get(COURSE_CAPTURE_STATE_KEY);
+  return isPlainObject(data[COURSE_CAPTURE_STATE_KEY]) ? data[COURSE_CAPTURE_STATE_KEY] : null;
+}
+
+async function setCourseCaptureState(state) {
+  await chrome.storage.session.set({ [COURSE_CAPTURE_STATE_KEY]: state });
+}
+
+async function updateCourseLessonState(state, index, patch) {
+  state.lessons[index] = {
+    ...state.lessons[index],
+    ...patch
+  };
+  state.updatedAt = Date.now();
+  await setCourseCaptureState(state);
+}
+
+function waitForTabComplete(tabId, timeoutMs) {
+  return new Promise((resolve) => {
+    const timeoutId = setTimeout(done, timeoutMs);
+
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === "complete") {
+        done();
+      }
+    }
+
+    function done() {
+      clearTimeout(timeoutId);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs
+      .get(tabId)
+      .then((tab) => {
+        if (tab && tab.status === "complete") {
+          done();
+        }
+      })
+      .catch(done);
+  });
+}
+
+async function triggerPlaybackInTab(tabId) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      world: "MAIN",
+      func: () => {
+        for (const video of Array.from(document.querySelectorAll("video"))) {
+          video.muted = true;
+          video.play().catch(() => {});
+        }
+        const playButton = document.querySelector(
+          '.vjs-big-play-button, .vp-controls button.play, button[aria-label="Play"], [data-play-button], .play-button'
+        );
+        if (playButton) {
+          playButton.click();
+        }
+      }
+    });
+  } catch (error) {
+    console.warn("Failed to trigger playback in course lesson tab", error);
+  }
+}
+
+async function captureCourseLesson(state, index) {
+  const lesson = state.lessons[index];
+  await updateCourseLessonState(state, index, { state: "visiting", error: "" });
+
+  const tab = await chrome.tabs.create({ url: lesson.url, active: false });
+  let captured = "";
+  let resolveCapture = () => {};
+  const capturePromise = new Promise((resolve) => {
+    resolveCapture = resolve;
+  });
+  courseCaptureTabs.set(tab.id, {
+    order: lesson.order,
+    title: lesson.title,
+    courseTitle: state.courseTitle,
+    moduleTitle: lesson.moduleTitle || "",
+    moduleIndex: lesson.moduleIndex || 0,
+    onCapture: (mediaKey) => {
+      captured = captured || mediaKey;
+      resolveCapture();
+    }
+  });
+  activeCourseCapture.stopWaiting = resolveCapture;
+
+  const waitForCapture = (ms) =>
+    Promise.race([capturePromise, new Promise((resolve) => setTimeout(resolve, ms))]).then(() => captured);
+
+  try {
+    await waitForTabComplete(tab.id, COURSE_TAB_LOAD_TIMEOUT_MS);
+    // Some players request the playlist on load; others need a (muted) play before they do.
+    if (!(await waitForCapture(2_000)) && !activeCourseCapture.cancelled) {
+      await triggerPlaybackInTab(tab.id);
+      if (!(await waitForCapture(COURSE_CAPTURE_WAIT_MS / 2)) && !activeCourseCapture.cancelled) {
+        await triggerPlaybackInTab(tab.id);
+        await waitForCapture(COURSE_CAPTURE_WAIT_MS / 2);
+      }
+    }
+  } finally {
+    courseCaptureTabs.delete(tab.id);
+    activeCourseCapture.stopWaiting = null;
+    await chrome.tabs.remove(tab.id).catch(() => {});
+  }
+
+  if (captured) {
+    await updateCourseLessonState(state, index, { state: "captured", mediaKey: captured });
+  } else if (activeCourseCapture.cancelled) {
+    await updateCourseLessonState(state, index, { state: "skipped" });
+  } else {
+    await updateCourseLessonState(state, index, {
+      state: "failed",
+      error: "No playlist request was observed on this lesson page."
+    });
+  }
+}
+
+async function runCourseCapture(state) {
+  for (let i = 0; i < state.lessons.length; i += 1) {
+    if (activeCourseCapture.cancelled) {
+      await updateCourseLessonState(state, i, { state: "skipped" });
+      continue;
+    }
+
+    try {
+      await captureCourseLesson(state, i);
+    } catch (error) {
+      console.error("Course lesson capture failed", error);
+      await updateCourseLessonState(state, i, { state: "failed", error: error.message });
+    }
+  }
+
+  state.status = activeCourseCapture.cancelled ? "cancelled" : "done";
+  state.updatedAt = Date.now();
+  await setCourseCaptureState(state);
+}
+
+async function startCourseCapture(tabId) {
+  if (activeCourseCapture) {
+    throw new Error("A course capture is already running.");
+  }
+  if (!Number.isInteger(tabId) || tabId < 0) {
+    throw new Error("Open a training page in the active tab first.");
+  }
+
+  const { courseTitle, lessons } = await readCourseLessonsFromTab(tabId);
+  if (lessons.length === 0) {
+    throw new Error("No lesson links were found on this page.");
+  }
+
+  const state = {
+    status: "running",
+    courseTitle,
+    startedAt: Date.now(),
+    updatedAt: Date.now(),
+    lessons: lessons.map((lesson, index) => ({
+      order: index + 1,
+      url: lesson.url,
+      title: lesson.title,
+      moduleTitle: lesson.moduleTitle || "",
+      moduleIndex: lesson.moduleIndex || 0,
+      state: "pending",
+      error: "",
+      mediaKey: ""
+    }))
+  };
+  await setCourseCaptureState(state);
+
+  activeCourseCapture = { cancelled: false, stopWaiting: null };
+  runCourseCapture(state)
+    .catch(async (error) => {
+      console.error("Course capture failed", error);
+      state.status = "error";
+      state.error = error.message;
+      await setCourseCaptureState(state);
+    })
+    .finally(() => {
+      activeCourseCapture = null;
+    });
+
+  return state;
+}
+
+async function cancelCourseCapture() {
+  if (!activeCourseCapture) {
+    const state = await getCourseCaptureState();
+    if (state && state.status === "running") {
+      // The service worker restarted mid-crawl; nothing is left to stop.
+      state.status = "cancelled";
+      await setCourseCaptureState(state);
+    }
+    return false;
+  }
+
+  activeCourseCapture.cancelled = true;
+  if (typeof activeCourseCapture.stopWaiting === "function") {
+    activeCourseCapture.stopWaiting();
+  }
+  return true;
+}
+
+function createEmptyDownloadQueue() {
+  return {
+    paused: false,
+    items: []
+  };
+}
+
+async function getDownloadQueue() {
+  const data = await chrome.storage.session.get(DOWNLOAD_QUEUE_KEY);
+  const queue = data[DOWNLOAD_QUEUE_KEY];
+  if (!isPlainObject(queue) || !Array.isArray(queue.items)) {
+    return createEmptyDownloadQueue();
+  }
+  return {
+    paused: queue.paused === true,
+    items: queue.items.filter((entry) => isPlainObject(entry) && typeof entry.mediaKey === "string")
+  };
+}
+
+async function setDownloadQueue(queue) {
+  await chrome.storage.session.set({ [DOWNLOAD_QUEUE_KEY]: queue });
+}
+
+// Queue mutations are serialized so concurrent popup clicks and offscreen status
+// updates never read-modify-write the queue at the same time.
+function updateDownloadQueue(mutate) {
+  const run = downloadQueueUpdate.then(async () => {
+    const queue = await getDownloadQueue();
+    const result = await mutate(queue);
+    await setDownloadQueue(queue);
+    return result;
+  });
+  downloadQueueUpdate = run.catch(() => {});
+  return run;
+}
+
+function findQueueEntry(queue, mediaKey) {
+  return queue.items.find((entry) => entry.mediaKey === mediaKey) || null;
+}
+
+function removeQueueEntry(queue, mediaKey) {
+  queue.items = queue.items.filter((entry) => entry.mediaKey !== mediaKey);
+}
+
+async function markQueuedPositions(queue) {
+  let position = 0;
+  for (const entry of queue.items) {
+    if (entry.status !== "queued") {
+      continue;
+    }
+    position += 1;
+    await updateDownloadState(entry.mediaKey, {
+      state: "queued",
+      message: queue.paused ? `Queued #${position} (queue paused)` : `Queued #${position}`,
+      queuePosition: position
+    });
+  }
+}
+
+// Tags written into MP4/M4A/MP3 outputs. Lesson context stored on the item (from course capture or
+// the page it was captured on) wins; pageMetadata (see readCapturePageMetadata) is that same page
+// read again, or empty.
+function buildMediaMetadata(lessonTitle, item, pageMetadata, vimeoPosterUrl) {
+  return {
+    title: lessonTitle || (item && typeof item.lessonTitle === "string" ? item.lessonTitle : ""),
+    artist: (item && item.author) || pageMetadata.author || "",
+    album: (item && item.courseTitle) || pageMetadata.courseTitle,
+    track: item && Number.isInteger(item.lessonOrder) ? item.lessonOrder : pageMetadata.lessonIndex,
+    comment: (item && item.pageUrl) || pageMetadata.pageUrl,
+    date: item && Number(item.timestamp) > 0 ? new Date(Number(item.timestamp)).toISOString().slice(0, 10) : "",
+    posterUrl: (item && item.posterUrl) || pageMetadata.posterUrl || vimeoPosterUrl || ""
+  };
+}
+
+// Lesson context for the filename template; the template itself is added from the settings when
+// the job is dispatched, so template changes apply to queued items too.
+function buildFilenameContext(item, pageMetadata) {
+  let school = (item && item.siteName) || pageMetadata.siteName;
+  const pageUrl = (item && item.pageUrl) || pageMetadata.pageUrl;
+  if (!school && pageUrl) {
+    try {
+      school = new URL(pageUrl).hostname;
+    } catch {
+      school = "";
+    }
+  }
+  const moduleIndex = item && Number(item.moduleIndex) > 0 ? Number(item.moduleIndex) : pageMetadata.moduleIndex;
+  return {
+    school: school || "",
+    course: (item && item.courseTitle) || pageMetadata.courseTitle || "",
+    module: (item && item.moduleTitle) || pageMetadata.moduleTitle || "",
+    moduleIndex: moduleIndex || null,
+    lessonIndex: item && Number.isInteger(item.lessonOrder) ? item.lessonOrder : pageMetadata.lessonIndex,
+    videoIndex: item && Number(item.playerCount) > 1 ? Number(item.playerIndex) : null,
+    videoCount: item && Number(item.playerCount) > 1 ? Number(item.playerCount) : null,
+    videoLabel: formatPlayerLabel(item),
+    videoHeading: (item && item.playerHeading) || ""
+  };
+}
+
+// A variant picked in the popup either has its own playlist URL (custom, HLS) or, for Vimeo, is
+// a track height inside the same manifest.
+function resolveRequestedVariant(message, sourceType) {
+  const variant = isPlainObject(message.variant) ? message.variant : null;
+  if (!variant || typeof variant.url !== "string" || !variant.url) {
+    return { url: message.url, preferredHeight: 0 };
+  }
+  if (sourceType === "vimeo") {
+    return { url: message.url, preferredHeight: Math.max(0, Math.floor(Number(variant.resolution) || 0)) };
+  }
+  return { url: variant.url, preferredHeight: 0 };
+}
+
+// The popup's active tab is wherever the user is when Download is pressed, not necessarily the page
+// the item was captured on. It only fills gaps in the item's lesson context when it shows that page.
+async function readCapturePageMetadata(tabId, tabUrl, item) {
+  const target = item ? normalizePageUrl(item.pageUrl) : "";
+  if (!target || normalizePageUrl(tabUrl) !== target) {
+    return { ...EMPTY_LESSON_METADATA };
+  }
+  const pageMetadata = await readLessonMetadataFromTab(tabId);
+  // The tab may have navigated since the popup read its URL.
+  return normalizePageUrl(pageMetadata.pageUrl) === target ? pageMetadata : { ...EMPTY_LESSON_METADATA };
+}
+
+async function enqueueDownload(message) {
+  if (typeof message.url !== "string" || !message.url) {
+    throw new Error("Missing URL for download.");
+  }
+  const tabId = Number.isInteger(message.tabId) ? message.tabId : null;
+  const capturedMediaInfo = await resolveMessageMediaInfo(message);
+  const { url: urlString, preferredHeight } = resolveRequestedVariant(message, capturedMediaInfo.sourceType);
+  const mediaInfo =
+    urlString === message.url ? capturedMediaInfo : await resolveMessageMediaInfo({ ...message, url: urlString });
+  const exportMode = message.exportMode === "audio" ? "audio" : "video";
+  const lessonTitle = typeof message.lessonTitle === "string" ? message.lessonTitle : "";
+  const pageUrl = typeof message.pageUrl === "string" ? message.pageUrl : "";
+
+  // The popup's active tab is only meaningful at click time, so Vimeo page context
+  // is read now rather than when the job is eventually dispatched.
+  const vimeoPlayerPageUrl =
+    mediaInfo.sourceType === "vimeo" && Number.isInteger(tabId) ? await readVimeoPlayerPageUrlFromTab(tabId) : "";
+  const vimeoEmbeddedSources =
+    mediaInfo.sourceType === "vimeo" && Number.isInteger(tabId)
+      ? await readVimeoSourcesFromTab(tabId, preferredHeight)
+      : null;
+  const capturedItem = (await getCapturedItems()).find((item) => item && item.mediaKey === mediaInfo.mediaKey) || null;
+  const pageMetadata = await readCapturePageMetadata(tabId, pageUrl, capturedItem);
+  // The Vimeo thumbnail comes from the active tab too, so it needs the same page match.
+  const metadata = buildMediaMetadata(
+    lessonTitle,
+    capturedItem,
+    pageMetadata,
+    vimeoEmbeddedSources && pageMetadata.pageUrl ? vimeoEmbeddedSources.posterUrl : ""
+  );
+  const naming = buildFilenameContext(capturedItem, pageMetadata);
+
+  await updateDownloadQueue(async (queue) => {
+    const existing = findQueueEntry(queue, mediaInfo.mediaKey);
+    if (existing && existing.status === "running") {
+      return;
+    }
+    if (existing) {
+      existing.status = "queued";
+      existing.url = urlString;
+      existing.mediaInfo = mediaInfo;
+      existing.preferredHeight = preferredHeight;
+      existing.exportMode = exportMode;
+      existing.metadata = metadata;
+      existing.naming = naming;
+      existing.sourceTabId = tabId;
+    } else {
+      queue.items.push({
+        mediaKey: mediaInfo.mediaKey,
+        status: "queued",
+        url: urlString,
+        mediaInfo,
+        preferredHeight,
+        exportMode,
+        metadata,
+        naming,
+        lessonTitle,
+        pageUrl,
+        vimeoPlayerPageUrl,
+        vimeoEmbeddedSources,
+        sourceTabId: tabId,
+        enqueuedAt: Date.now()
+      });
+    }
+    await updateDownloadState(mediaInfo.mediaKey, {
+      error: "",
+      filename: ""
+    });
+    await markQueuedPositions(queue);
+  });
+
+  await pumpDownloadQueue();
+  return mediaInfo.mediaKey;
+}
+
+async function getDownloadJobs() {
+  const data = await chrome.storage.local.get(DOWNLOAD_JOBS_KEY);
+  return isPlainObject(data[DOWNLOAD_JOBS_KEY]) ? data[DOWNLOAD_JOBS_KEY] : {};
+}
+
+async function updateDownloadJobs(mutate) {
+  const jobs = await getDownloadJobs();
+  mutate(jobs);
+  await chrome.storage.local.set({ [DOWNLOAD_JOBS_KEY]: jobs });
+}
+
+function buildInterruptedState() {
+  return {
+    state: "interrupted",
+    message: "Interrupted. Resume to continue from the saved segments.",
+    queuePosition: 0
+  };
+}
+
+// Runs inside updateDownloadQueue. Jobs that are "running" without an offscreen document, or
+// recorded in downloadJobs but absent from the queue (browser restart), become "interrupted".
+async function markInterruptedDownloads(queue) {
+  const running = queue.items.filter(
+    (entry) => entry.status === "running" && !dispatchingDownloads.has(entry.mediaKey)
+  );
+  if (running.length > 0 && !(await hasOffscreenDocument())) {
+    for (const entry of running) {
+      removeQueueEntry(queue, entry.mediaKey);
+    }
+  }
+
+  const jobs = await getDownloadJobs();
+  const stateMap = await getDownloadStateMap();
+  for (const mediaKey of Object.keys(jobs)) {
+    const current = isPlainObject(stateMap[mediaKey]) ? stateMap[mediaKey].state : "";
+    // Kept after a failure (the error state, with any re-fetch offer, stays visible) or while Chrome saves.
+    if (!findQueueEntry(queue, mediaKey) && !["interrupted", "error", "saving"].includes(current)) {
+      await updateDownloadState(mediaKey, buildInterruptedState());
+    }
+  }
+}
+
+// Job records (and their segments) not touched for this long are dropped at service worker start.
+async function pruneExpiredDownloadJobs() {
+  const now = Date.now();
+  const expired = await updateDownloadQueue(async (queue) => {
+    const jobs = await getDownloadJobs();
+    return Object.keys(jobs).filter(
+      (mediaKey) =>
+        !findQueueEntry(queue, mediaKey) && now - (Number(jobs[mediaKey].startedAt) || 0) > DOWNLOAD_JOB_MAX_AGE_MS
+    );
+  });
+  for (const mediaKey of expired) {
+    await deleteDownloadJob(mediaKey);
+    await updateDownloadState(mediaKey, {
+      state: "error",
+      message: "Saved segments expired.",
+      error: "The unfinished download was older than 7 days; its saved segments were removed. Download again.",
+      badSegments: []
+    });
+  }
+}
+
+async function recoverInterruptedDownloads() {
+  await pruneExpiredDownloadJobs();
+  await updateDownloadQueue(markInterruptedDownloads);
+}
+
+async function dispatchQueuedDownload(entry) {
+  dispatchingDownloads.add(entry.mediaKey);
+  try {
+    const settings = await getSettings();
+    await ensureOffscreenDocument();
+    await chrome.runtime.sendMessage({
+      type: "OFFSCREEN_START_DOWNLOAD",
+      url: entry.url,
+      mediaInfo: entry.mediaInfo,
+      lessonTitle: entry.lessonTitle,
+      vimeoPlayerPageUrl: entry.vimeoPlayerPageUrl,
+      pageUrl: entry.pageUrl,
+      vimeoEmbeddedSources: entry.vimeoEmbeddedSources,
+      segmentConcurrency: settings.segmentConcurrency,
+      fetchRetries: {
+        network: settings.retryNetwork,
+        timeout: settings.retryTimeout,
+        "4xx-auth": settings.retryAuth,
+        "4xx-notfound": settings.retryNotFound,
+        "5xx": settings.retryServer,
+        "429-ratelimit": settings.retryRateLimit,
+        "content-invalid": settings.retryContentInvalid
+      },
+      requestTimeoutSeconds: settings.requestTimeoutSeconds,
+      // Offscreen removes segment stores of any other media key (see sweepOrphanSegmentStores).
+      jobMediaKeys: Object.keys(await getDownloadJobs()),
+      preferredHeight: entry.preferredHeight || 0,
+      subtitleMode: settings.subtitleMode,
+      exportMode: entry.exportMode || "video",
+      audioFormat: settings.audioExportFormat,
+      metadata: entry.metadata || null,
+      naming: {
+        ...(isPlainObject(entry.naming) ? entry.naming : {}),
+        template: settings.filenameTemplate,
+        transliterate: settings.filenameTransliterate
+      },
+      // A quality picked for this item overrides the global preference, e.g. in Vimeo's HLS fallback.
+      variantPreference: entry.preferredHeight
+        ? { mode: "height", targetHeight: entry.preferredHeight, maxBitrateKbps: 0 }
+        : {
+            mode: settings.variantPreference,
+            targetHeight: settings.variantTargetHeight,
+            maxBitrateKbps: settings.variantMaxBitrateKbps
+          }
+    });
+  } catch (error) {
+    console.error("Failed to dispatch queued download", error);
+    await updateDownloadState(entry.mediaKey, {
+      state: "error",
+      message: "Failed to start download",
+      error: error.message
+    });
+    await finishQueuedDownload(entry.mediaKey, "error");
+  } finally {
+    dispatchingDownloads.delete(entry.mediaKey);
+  }
+}
+
+async function pumpDownloadQueue() {
+  const { maxConcurrentDownloads } = await getSettings();
+  const limit = Math.max(1, maxConcurrentDownloads);
+
+  const started = await updateDownloadQueue(async (queue) => {
+    // The offscreen document may have gone away with jobs in flight; nothing would report back for them.
+    await markInterruptedDownloads(queue);
+
+    if (queue.paused) {
+      return [];
+    }
+
+    const runningCount = queue.items.filter((entry) => entry.status === "running").length;
+    const next = queue.items.filter((entry) => entry.status === "queued").slice(0, Math.max(0, limit - runningCount));
+    if (next.length > 0) {
+      await updateDownloadJobs((jobs) => {
+        for (const entry of next) {
+          const { status: _status, ...job } = entry;
+          jobs[entry.mediaKey] = { ...job, startedAt: Date.now() };
+        }
+      });
+    }
+    for (const entry of next) {
+      entry.status = "running";
+      await updateDownloadState(entry.mediaKey, {
         state: "running",
-        message: "Queued...",
-        error: "",
-        filename: ""
+        message: "Starting...",
+        queuePosition: 0,
+        badSegments: [],
+        errorCode: "",
+        progress: null,
+        // A previous run's Chrome download may still be saving; its settle must not touch this run.
+        downloadId: null
+      });
+    }
+    await markQueuedPositions(queue);
+    return next;
+  });
+
+  for (const entry of started) {
+    await dispatchQueuedDownload(entry);
+  }
+}
+
+// The downloadJobs record outlives the queue entry unless the job was cancelled (offscreen has then
+// removed its segments already): a paused or failed job can be resumed or downloaded again from
+// its saved segments, and a "saving" job keeps it until Chrome has settled the file.
+async function finishQueuedDownload(mediaKey, state) {
+  const changed = await updateDownloadQueue(async (queue) => {
+    if (state === "cancelled") {
+      await updateDownloadJobs((jobs) => {
+        delete jobs[mediaKey];
       });
+    }
+
+    const entry = findQueueEntry(queue, mediaKey);
+    if (!entry) {
+      return false;
+    }
+    if (state === "paused" && entry.pausedByQueue && !queue.paused) {
+      // Paused by "Pause queue", which was resumed before offscreen reported back.
+      entry.status = "queued";
+      delete entry.pausedByQueue;
+    } else if (state === "paused") {
+      entry.status = "paused";
+    } else {
+      removeQueueEntry(queue, mediaKey);
+    }
+    await markQueuedPositions(queue);
+    return true;
+  });
+
+  if (changed) {
+    await pumpDownloadQueue();
+  }
+}
+
+async function pauseQueuedDownload(mediaKey) {
+  const wasRunning = await updateDownloadQueue(async (queue) => {
+    const entry = findQueueEntry(queue, mediaKey);
+    if (!entry) {
+      throw new Error("This item is not in the download queue.");
+    }
+    if (entry.status === "running") {
+      return true;
+    }
+    entry.status = "paused";
+    await updateDownloadState(mediaKey, {
+      state: "paused",
+      message: "Paused.",
+      queuePosition: 0
+    });
+    await markQueuedPositions(queue);
+    return false;
+  });
+
+  if (wasRunning) {
+    await pauseRunningDownload(mediaKey);
+  }
+}
+
+// The entry turns "paused" once offscreen reports back. Its fetched segments stay in the OPFS
+// segment store, so resuming fetches only the missing ones.
+async function pauseRunningDownload(mediaKey) {
+  await ensureOffscreenDocument();
+  await chrome.runtime.sendMessage({
+    type: "OFFSCREEN_CANCEL_DOWNLOAD",
+    mediaKey,
+    pause: true
+  });
+}
+
+async function resumeQueuedDownload(mediaKey) {
+  await updateDownloadQueue(async (queue) => {
+    const entry = findQueueEntry(queue, mediaKey);
+    const job = entry ? null : (await getDownloadJobs())[mediaKey];
+    if (!entry && !isPlainObject(job)) {
+      throw new Error("This item is not in the download queue.");
+    }
+    if (!entry) {
+      const { startedAt: _startedAt, ...recorded } = job;
+      queue.items.push({ ...recorded, status: "queued" });
+    } else if (entry.status === "paused") {
+      entry.status = "queued";
+      delete entry.pausedByQueue;
+    }
+    await markQueuedPositions(queue);
+  });
+  await pumpDownloadQueue();
+}
+
+// Pausing the queue also pauses its running jobs; resuming it re-queues exactly those (marked
+// pausedByQueue), while items paused one by one stay paused.
+async function setDownloadQueuePaused(paused) {
+  const running = await updateDownloadQueue(async (queue) => {
+    queue.paused = paused;
+    const toPause = [];
+    for (const entry of queue.items) {
+      if (paused && entry.status === "running") {
+        entry.pausedByQueue = true;
+        toPause.push(entry.mediaKey);
+      } else if (!paused && entry.status === "paused" && entry.pausedByQueue) {
+        entry.status = "queued";
+        delete entry.pausedByQueue;
+      }
+    }
+    await markQueuedPositions(queue);
+    return toPause;
+  });
+  for (const mediaKey of running) {
+    await pauseRunningDownload(mediaKey);
+  }
+  await pumpDownloadQueue();
+}
+
+async function reorderDownloadQueue(order) {
+  if (!Array.isArray(order)) {
+    throw new Error("Queue order must be a list of media keys.");
+  }
+
+  await updateDownloadQueue(async (queue) => {
+    const rank = new Map(order.map((mediaKey, index) => [mediaKey, index]));
+    const rankOf = (entry) => (rank.has(entry.mediaKey) ? rank.get(entry.mediaKey) : order.length);
+    // Array.prototype.sort is stable, so entries missing from `order` keep their relative position.
+    queue.items.sort((a, b) => rankOf(a) - rankOf(b));
+    await markQueuedPositions(queue);
+  });
+  await pumpDownloadQueue();
+}
+
+// Drops a job record together with its persisted segments; nothing else would remove them.
+async function deleteDownloadJob(mediaKey) {
+  await updateDownloadJobs((jobs) => {
+    delete jobs[mediaKey];
+  });
+  await discardPersistedSegments(mediaKey);
+}
+
+async function discardPersistedSegments(mediaKey) {
+  try {
+    await ensureOffscreenDocument();
+    await chrome.runtime.sendMessage({
+      type: "OFFSCREEN_DISCARD_SEGMENTS",
+      mediaKey
+    });
+  } catch (error) {
+    console.warn("Failed to discard persisted segments", error);
+  }
+}
+
+// Resolves with pick(url) for the first capture of mediaKey it accepts (non-empty result), or ""
+// once timeoutMs has passed.
+function waitForMediaCapture(mediaKey, timeoutMs, pick) {
+  return new Promise((resolve) => {
+    const waiters = sourceRefreshWaiters.get(mediaKey) || new Set();
+    const settle = (result) => {
+      clearTimeout(timeoutId);
+      waiters.delete(notify);
+      if (waiters.size === 0) {
+        sourceRefreshWaiters.delete(mediaKey);
+      }
+      resolve(result);
+    };
+    const notify = (urlString) => {
+      const picked = pick(urlString);
+      if (picked) {
+        settle(picked);
+      }
+    };
+    const timeoutId = setTimeout(() => settle(""), timeoutMs);
+    waiters.add(notify);
+    sourceRefreshWaiters.set(mediaKey, waiters);
+  });
+}
+
+// Finds a freshly signed source URL for a running job whose segment links expired (REFRESH_SOURCE
+// from offscreen). Candidates must parse to the job's mediaKey and resolution; GetCourse-style
+// URLs of another resolution are rewritten to the job's one. Tried in order: the player config of
+// the tab the download was started from (Vimeo), a newer capture already in the library, and
+// finally the next capture while the user plays the video again.
+async function refreshJobSource(mediaKey, expiredUrl) {
+  const queue = await getDownloadQueue();
+  const job = findQueueEntry(queue, mediaKey) || (await getDownloadJobs())[mediaKey];
+  if (!isPlainObject(job)) {
+    throw new Error("The download is no longer queued.");
+  }
+
+  const rules = await getCaptureRules();
+  const sourceType = job.mediaInfo?.sourceType || "";
+  const resolution = String(job.mediaInfo?.resolution || "");
+  const pickCandidate = (urlString) => {
+    if (typeof urlString !== "string" || !urlString || urlString === expiredUrl || urlString === job.url) {
+      return "";
+    }
+    const matchInfo = parseMatchingInfo(urlString, rules);
+    if (!matchInfo || matchInfo.mediaKey !== mediaKey) {
+      return "";
+    }
+    if (String(matchInfo.resolution) === resolution) {
+      return urlString;
+    }
+    return sourceType === "custom" ? buildSiblingResolutionUrl(urlString, resolution) : "";
+  };
+
+  if (sourceType === "vimeo" && Number.isInteger(job.sourceTabId)) {
+    const sources = await readVimeoSourcesFromTab(job.sourceTabId, job.preferredHeight || 0);
+    const fromTab = sources ? pickCandidate(sources.dashUrl) || pickCandidate(sources.hlsUrl) : "";
+    if (fromTab) {
+      return fromTab;
+    }
+  }
+
+  // Variants keep the latest URL captured for every resolution.
+  const item = (await getCapturedItems()).find((entry) => entry && entry.mediaKey === mediaKey);
+  for (const variant of item ? [...(item.variants || []), item] : []) {
+    const fromLibrary = pickCandidate(variant.url);
+    if (fromLibrary) {
+      return fromLibrary;
+    }
+  }
+
+  await updateDownloadState(mediaKey, {
+    message: "Link expired. Play the video in its tab to continue the download..."
+  });
+  const captured = await waitForMediaCapture(mediaKey, SOURCE_REFRESH_TIMEOUT_MS, pickCandidate);
+  if (!captured) {
+    throw new Error("The link expired and no fresh link was captured in time.");
+  }
+  return captured;
+}
+
+function updateBrowserDownloads(mutate) {
+  const run = browserDownloadsUpdate.then(async () => {
+    const data = await chrome.storage.session.get(BROWSER_DOWNLOADS_KEY);
+    const tracked = isPlainObject(data[BROWSER_DOWNLOADS_KEY]) ? data[BROWSER_DOWNLOADS_KEY] : {};
+    const result = await mutate(tracked);
+    await chrome.storage.session.set({ [BROWSER_DOWNLOADS_KEY]: tracked });
+    return result;
+  });
+  browserDownloadsUpdate = run.catch(() => {});
+  return run;
+}
+
+// The job's output is now Chrome's to save: the item shows "saving" and its queue slot is freed.
+async function trackBrowserDownload(downloadId, record) {
+  if (record.kind === "output") {
+    await updateDownloadState(record.mediaKey, {
+      state: "saving",
+      message: "Saving in Chrome Downloads...",
+      filename: record.filename,
+      segmentCount: record.segmentCount,
+      downloadId,
+      error: "",
+      // Kept into "success": the file is saved, but may be shorter or longer than announced.
+      warning: record.warning || "",
+      progress: null
+    });
+    await refreshDownloadBadge();
+    await finishQueuedDownload(record.mediaKey, "saving");
+  }
+  await updateBrowserDownloads((tracked) => {
+    tracked[downloadId] = { mediaKey: record.mediaKey, kind: record.kind, filename: record.filename };
+  });
+
+  // Small files can finish before the record exists, in which case onChanged found nothing to settle.
+  const [item] = await chrome.downloads.search({ id: downloadId });
+  if (item && item.state !== "in_progress") {
+    await settleBrowserDownload(downloadId, item.state, item.error);
+  }
+}
+
+async function releaseOffscreenDownload(downloadId) {
+  try {
+    await chrome.runtime.sendMessage({
+      type: "OFFSCREEN_RELEASE_DOWNLOAD",
+      downloadId
+    });
+  } catch (error) {
+    // No offscreen document means its blob URLs and job files are already gone.
+    console.warn("Failed to release offscreen download", error);
+  }
+}
+
+// Runs once per tracked download when Chrome reports it "complete" or "interrupted". Only then are the
+// blob URL and job output released, since Chrome reads from them until the save ends.
+async function settleBrowserDownload(downloadId, state, errorCode) {
+  const record = await updateBrowserDownloads((tracked) => {
+    const entry = isPlainObject(tracked[downloadId]) ? tracked[downloadId] : null;
+    delete tracked[downloadId];
+    return entry;
+  });
+  if (!record) {
+    return;
+  }
+
+  await releaseOffscreenDownload(downloadId);
+  const current = (await getDownloadStateMap())[record.mediaKey];
+  // Subtitle files, and outputs of an item that has been downloaded again since, leave the state alone.
+  if (record.kind !== "output" || !isPlainObject(current) || current.downloadId !== downloadId) {
+    return;
+  }
+
+  if (state === "complete") {
+    const [item] = await chrome.downloads.search({ id: downloadId });
+    await updateDownloadState(record.mediaKey, {
+      state: "success",
+      message: "Saved.",
+      savedPath: item?.filename || "",
+      bytes: item ? Math.max(item.fileSize, item.bytesReceived, 0) : 0
+    });
+    await deleteDownloadJob(record.mediaKey);
+  } else if (errorCode === "USER_CANCELED") {
+    await updateDownloadState(record.mediaKey, {
+      state: "cancelled",
+      message: "Saving was cancelled in Chrome Downloads."
+    });
+    await deleteDownloadJob(record.mediaKey);
+  } else {
+    const reason = DOWNLOAD_INTERRUPT_REASONS[errorCode] || errorCode || "unknown error";
+    await updateDownloadState(record.mediaKey, {
+      state: "error",
+      message: "Saving failed.",
+      error: `Chrome could not save ${record.filename}: ${reason}. Download again to reuse the saved segments.`
+    });
+  }
+}
+
+async function removeQueuedDownload(mediaKey) {
+  const removed = await updateDownloadQueue(async (queue) => {
+    const entry = findQueueEntry(queue, mediaKey);
+    if (!entry || entry.status === "running") {
+      return false;
+    }
+    removeQueueEntry(queue, mediaKey);
+    await updateDownloadJobs((jobs) => {
+      delete jobs[mediaKey];
+    });
+    await updateDownloadState(mediaKey, {
+      state: "cancelled",
+      message: "Removed from queue.",
+      queuePosition: 0
+    });
+    await markQueuedPositions(queue);
+    return true;
+  });
+
+  if (removed) {
+    // A paused job may have left segments behind in the offscreen segment store.
+    await discardPersistedSegments(mediaKey);
+  }
+  return removed;
+}
+
+// "Clear" in the popup: empties the capture list and the download state, drops waiting queue entries
+// and deletes every job record with its persisted segments. Running jobs are cancelled; offscreen
+// removes their segments as they stop.
+async function clearCapturedItems() {
+  const running = await updateDownloadQueue(async (queue) => {
+    const runningKeys = queue.items.filter((entry) => entry.status === "running").map((entry) => entry.mediaKey);
+    queue.items = queue.items.filter((entry) => entry.status === "running");
+    for (const mediaKey of Object.keys(await getDownloadJobs())) {
+      if (!runningKeys.includes(mediaKey)) {
+        await deleteDownloadJob(mediaKey);
+      }
+    }
+    await chrome.storage.local.set({ [STORAGE_KEY]: [] });
+    await clearDownloadState();
+    return runningKeys;
+  });
+  for (const mediaKey of running) {
+    await cancelDownload(mediaKey);
+  }
+}
 
-      await ensureOffscreenDocument();
+// Drops a queued item, stops its running job or cancels the Chrome download still saving its
+// output; found is false when none of these existed.
+async function cancelDownload(mediaKey) {
+  if (await removeQueuedDownload(mediaKey)) {
+    return { found: true, offscreenResponse: null };
+  }
 
-      const mediaInfo = deriveMediaInfoFromUrl(urlString);
-      const vimeoPlayerPageUrl =
-        mediaInfo && mediaInfo.sourceType === "vimeo" && Number.isInteger(tabId)
-          ? await readVimeoPlayerPageUrlFromTab(tabId)
-          : "";
-      const vimeoEmbeddedSources =
-        mediaInfo && mediaInfo.sourceType === "vimeo" && Number.isInteger(tabId) ? await readVimeoSourcesFromTab(tabId) : null;
+  const current = (await getDownloadStateMap())[mediaKey];
+  if (isPlainObject(current) && current.state === "saving" && Number.isInteger(current.downloadId)) {
+    // settleBrowserDownload reports the interruption as "cancelled".
+    await chrome.downloads.cancel(current.downloadId);
+    return { found: true, offscreenResponse: null };
+  }
 
-      await chrome.runtime.sendMessage({
-        type: "OFFSCREEN_START_DOWNLOAD",
-        url: urlString,
-        lessonTitle: typeof message.lessonTitle === "string" ? message.lessonTitle : "",
-        vimeoPlayerPageUrl,
-        pageUrl,
-        vimeoEmbeddedSources
+  await ensureOffscreenDocument();
+  const offscreenResponse = await chrome.runtime.sendMessage({
+    type: "OFFSCREEN_CANCEL_DOWNLOAD",
+    mediaKey
+  });
+  return {
+    found: !(offscreenResponse && offscreenResponse.found === false),
+    offscreenResponse: offscreenResponse || null
+  };
+}
+
+function normalizePageUrl(urlString) {
+  try {
+    const parsed = new URL(urlString);
+    parsed.hash = "";
+    return parsed.href;
+  } catch {
+    return "";
+  }
+}
+
+// What the in-page controls of a lesson page (content.js) show: the captured items whose page URL
+// matches, with their player position and the display fields of their download state.
+function buildLessonPageSnapshot(pageUrl, capturedItems, stateMap) {
+  const target = normalizePageUrl(pageUrl);
+  const items = capturedItems
+    .filter((item) => item && target && normalizePageUrl(item.pageUrl) === target)
+    .map((item) => {
+      const state = isPlainObject(stateMap[item.mediaKey]) ? stateMap[item.mediaKey] : null;
+      return {
+        mediaKey: item.mediaKey,
+        playerIndex: Number(item.playerIndex) > 0 ? Number(item.playerIndex) : null,
+        resolution: item.resolution || "",
+        state: state
+          ? {
+              state: state.state || "",
+              message: state.message || "",
+              error: state.error || "",
+              progress: isPlainObject(state.progress) ? state.progress : null,
+              savedPath: state.savedPath || state.filename || "",
+              warning: state.warning || ""
+            }
+          : null
+      };
+    });
+  return { type: "LESSON_MEDIA", items };
+}
+
+// Builds one snapshot per lesson page URL and posts it to every port showing that page.
+async function postLessonPageSnapshots(ports) {
+  const [capturedItems, stateMap] = await Promise.all([getCapturedItems(), getDownloadStateMap()]);
+  const snapshots = new Map();
+  for (const port of ports) {
+    const pageUrl = normalizePageUrl(port.sender.url);
+    if (!snapshots.has(pageUrl)) {
+      snapshots.set(pageUrl, buildLessonPageSnapshot(pageUrl, capturedItems, stateMap));
+    }
+    if (lessonPagePorts.has(port)) {
+      port.postMessage(snapshots.get(pageUrl));
+    }
+  }
+}
+
+function scheduleLessonPageSnapshots() {
+  if (lessonPageSnapshotTimer !== null) {
+    return;
+  }
+  lessonPageSnapshotTimer = setTimeout(() => {
+    lessonPageSnapshotTimer = null;
+    postLessonPageSnapshots([...lessonPagePorts]).catch((error) => {
+      console.error("Failed to send lesson page state", error);
+    });
+  }, LESSON_PAGE_SNAPSHOT_DELAY_MS);
+}
+
+// Start, stop and scan requests from an in-page control. Downloads take the item's default variant
+// and the lesson title stored at capture time.
+async function handleLessonPageMessage(port, message) {
+  const tabId = port.sender.tab.id;
+  if (message.type === "SCAN") {
+    await scanTabForMedia(tabId);
+    return;
+  }
+
+  const mediaKey = typeof message.mediaKey === "string" ? message.mediaKey : "";
+  const item = (await getCapturedItems()).find((candidate) => candidate && candidate.mediaKey === mediaKey);
+  if (!item) {
+    throw new Error("This video is no longer in the capture library.");
+  }
+
+  if (message.type === "STOP") {
+    await cancelDownload(mediaKey);
+    return;
+  }
+
+  if (message.type === "START") {
+    try {
+      await enqueueDownload({
+        url: item.url,
+        mediaKey,
+        sourceType: typeof item.sourceType === "string" ? item.sourceType : "",
+        lessonTitle: typeof item.lessonTitle === "string" ? item.lessonTitle : "",
+        tabId,
+        pageUrl: port.sender.url
+      });
+    } catch (error) {
+      await updateDownloadState(mediaKey, {
+        state: "error",
+        message: "Failed to start download",
+        error: error.message
       });
+      throw error;
+    }
+  }
+}
 
-      sendResponse({
-        ok: true,
-        mediaKey
+// Playlists fetched by the extension itself (downloads, variant probes) are never new captures.
+function isOwnExtensionRequest(details) {
+  return details.initiator === `chrome-extension://${chrome.runtime.id}`;
+}
+
+chrome.webRequest.onBeforeRequest.addListener(
+  (details) => {
+    if (isOwnExtensionRequest(details)) {
+      return;
+    }
+
+    // We observe only (no blocking). For webRequest visibility across real-world pages,
+    // Chrome requires host permissions for both:
+    // 1) the requested URL and
+    // 2) the initiator/origin making the request.
+    // <all_urls> in host_permissions ensures we do not miss valid captures.
+    storageUpdateQueue = storageUpdateQueue.then(() => captureUrl(details.url, details.tabId, { frameId: details.frameId })).catch((error) => {
+      console.error("Failed to capture media URL", error);
+    });
+  },
+  { urls: ["<all_urls>"] }
+);
+
+chrome.webRequest.onHeadersReceived.addListener(
+  (details) => {
+    // Catches HLS playlists served without an ".m3u8" path.
+    if (isOwnExtensionRequest(details) || !isHlsContentType(getResponseHeaderValue(details.responseHeaders, "content-type"))) {
+      return;
+    }
+
+    storageUpdateQueue = storageUpdateQueue
+      .then(() => captureUrl(details.url, details.tabId, { hlsContentType: true, frameId: details.frameId }))
+      .catch((error) => {
+        console.error("Failed to capture HLS playlist URL", error);
       });
-    })().catch(async (error) => {
-      const urlString = typeof message.url === "string" ? message.url : "";
-      if (urlString) {
-        const mediaKey = getMediaKeyFromUrl(urlString);
-        await updateDownloadState(mediaKey, {
-          state: "error",
-          message: "Failed to start download",
+  },
+  { urls: ["<all_urls>"] },
+  ["responseHeaders"]
+);
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  if (!message || typeof message !== "object") {
+    return undefined;
+  }
+
+  if (message.type === "START_DOWNLOAD") {
+    enqueueDownload(message)
+      .then((mediaKey) => sendResponse({ ok: true, mediaKey }))
+      .catch(async (error) => {
+        const { mediaKey } = await resolveMessageMediaInfo(message);
+        if (mediaKey) {
+          await updateDownloadState(mediaKey, {
+            state: "error",
+            message: "Failed to start download",
+            error: error.message
+          });
+        }
+
+        sendResponse({
+          ok: false,
           error: error.message
         });
-      }
+      });
+
+    return true;
+  }
 
+  if (message.type === "PAUSE_DOWNLOAD" || message.type === "RESUME_DOWNLOAD") {
+    (async () => {
+      const { mediaKey } = await resolveMessageMediaInfo(message);
+      if (!mediaKey) {
+        throw new Error("Missing media key.");
+      }
+      if (message.type === "PAUSE_DOWNLOAD") {
+        await pauseQueuedDownload(mediaKey);
+      } else {
+        await resumeQueuedDownload(mediaKey);
+      }
+      sendResponse({ ok: true, mediaKey });
+    })().catch((error) =>
       sendResponse({
         ok: false,
         error: error.message
-      });
-    });
+      })
+    );
+    return true;
+  }
+
+  if (message.type === "PAUSE_DOWNLOAD_QUEUE" || message.type === "RESUME_DOWNLOAD_QUEUE") {
+    setDownloadQueuePaused(message.type === "PAUSE_DOWNLOAD_QUEUE")
+      .then(() => sendResponse({ ok: true }))
+      .catch((error) =>
+        sendResponse({
+          ok: false,
+          error: error.message
+        })
+      );
+    return true;
+  }
+
+  if (message.type === "CLEAR_CAPTURED_ITEMS") {
+    clearCapturedItems()
+      .then(() => sendResponse({ ok: true }))
+      .catch((error) =>
+        sendResponse({
+          ok: false,
+          error: error.message
+        })
+      );
+    return true;
+  }
 
+  if (message.type === "REORDER_DOWNLOAD_QUEUE") {
+    reorderDownloadQueue(message.order)
+      .then(() => sendResponse({ ok: true }))
+      .catch((error) =>
+        sendResponse({
+          ok: false,
+          error: error.message
+        })
+      );
     return true;
   }
 
   if (message.type === "CANCEL_DOWNLOAD") {
     (async () => {
-      const explicitMediaKey = typeof message.mediaKey === "string" ? message.mediaKey : "";
-      const mediaKey = explicitMediaKey || getMediaKeyFromUrl(typeof message.url === "string" ? message.url : "");
+      const { mediaKey } = await resolveMessageMediaInfo(message);
       if (!mediaKey) {
         throw new Error("Missing media key for cancellation.");
       }
 
-      await ensureOffscreenDocument();
-
-      const offscreenResponse = await chrome.runtime.sendMessage({
-        type: "OFFSCREEN_CANCEL_DOWNLOAD",
-        mediaKey
-      });
-
-      if (offscreenResponse && offscreenResponse.found === false) {
+      const { found, offscreenResponse } = await cancelDownload(mediaKey);
+      if (!found) {
         sendResponse({
           ok: false,
           mediaKey,
@@ -642,11 +2673,10 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
       sendResponse({
         ok: true,
         mediaKey,
-        offscreenResponse: offscreenResponse || null
+        offscreenResponse
       });
     })().catch(async (error) => {
-      const explicitMediaKey = typeof message.mediaKey === "string" ? message.mediaKey : "";
-      const mediaKey = explicitMediaKey || getMediaKeyFromUrl(typeof message.url === "string" ? message.url : "");
+      const { mediaKey } = await resolveMessageMediaInfo(message);
       if (mediaKey) {
         await updateDownloadState(mediaKey, {
           state: "error",
@@ -682,6 +2712,17 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         conflictAction: "uniquify"
       });
 
+      const handoff = isPlainObject(message.handoff) ? message.handoff : null;
+      if (handoff && typeof handoff.mediaKey === "string" && handoff.mediaKey) {
+        await trackBrowserDownload(downloadId, {
+          mediaKey: handoff.mediaKey,
+          kind: handoff.kind === "output" ? "output" : "subtitle",
+          filename,
+          segmentCount: Number(handoff.segmentCount) || 0,
+          warning: Array.isArray(handoff.warnings) ? handoff.warnings.filter((entry) => typeof entry === "string").join(" ") : ""
+        });
+      }
+
       sendResponse({
         ok: true,
         downloadId
@@ -695,6 +2736,26 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === "REFRESH_SOURCE") {
+    (async () => {
+      const mediaKey = typeof message.mediaKey === "string" ? message.mediaKey : "";
+      if (!mediaKey) {
+        throw new Error("Missing media key for source refresh.");
+      }
+      const url = await refreshJobSource(mediaKey, typeof message.url === "string" ? message.url : "");
+      sendResponse({
+        ok: true,
+        url
+      });
+    })().catch((error) => {
+      sendResponse({
+        ok: false,
+        error: error.message
+      });
+    });
+    return true;
+  }
+
   if (message.type === "BROWSER_DOWNLOAD_CANCEL") {
     (async () => {
       const downloadId = Number(message.downloadId);
@@ -735,7 +2796,12 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         throw new Error("Missing media key in status update.");
       }
 
-      await updateDownloadState(mediaKey, patch);
+      // Progress only describes running jobs; any other state clears it.
+      await updateDownloadState(mediaKey, patch.state && patch.state !== "running" ? { ...patch, progress: null } : patch);
+      await refreshDownloadBadge();
+      if (DOWNLOAD_QUEUE_RELEASING_STATES.has(patch.state)) {
+        await finishQueuedDownload(mediaKey, patch.state);
+      }
       sendResponse({ ok: true });
     })().catch((error) => {
       sendResponse({
@@ -746,6 +2812,120 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === "GET_CAPTURE_RULES") {
+    getStoredCaptureRules()
+      .then((rules) =>
+        sendResponse({
+          ok: true,
+          rules,
+          defaultRules: DEFAULT_CAPTURE_RULES.map(normalizeCaptureRule),
+          sourceTypes: CAPTURE_SOURCE_TYPES
+        })
+      )
+      .catch((error) =>
+        sendResponse({
+          ok: false,
+          error: error.message
+        })
+      );
+    return true;
+  }
+
+  if (message.type === "SET_CAPTURE_RULES") {
+    setStoredCaptureRules(message.rules)
+      .then((rules) => sendResponse({ ok: true, rules }))
+      .catch((error) =>
+        sendResponse({
+          ok: false,
+          error: error.message
+        })
+      );
+    return true;
+  }
+
+  if (message.type === "READ_LESSON_METADATA") {
+    readLessonMetadataFromTab(message.tabId)
+      .then((metadata) =>
+        sendResponse({
+          ok: true,
+          metadata
+        })
+      )
+      .catch((error) =>
+        sendResponse({
+          ok: false,
+          error: error.message
+        })
+      );
+    return true;
+  }
+
+  if (message.type === "GET_SETTINGS") {
+    getSettings()
+      .then((settings) =>
+        sendResponse({
+          ok: true,
+          settings,
+          defaultSettings: DEFAULT_SETTINGS
+        })
+      )
+      .catch((error) =>
+        sendResponse({
+          ok: false,
+          error: error.message
+        })
+      );
+    return true;
+  }
+
+  if (message.type === "SET_SETTINGS") {
+    updateSettings(message.settings)
+      .then((settings) => sendResponse({ ok: true, settings }))
+      .catch((error) =>
+        sendResponse({
+          ok: false,
+          error: error.message
+        })
+      );
+    return true;
+  }
+
+  if (message.type === "START_COURSE_CAPTURE") {
+    startCourseCapture(Number.isInteger(message.tabId) ? message.tabId : null)
+      .then((state) => sendResponse({ ok: true, lessonCount: state.lessons.length }))
+      .catch((error) =>
+        sendResponse({
+          ok: false,
+          error: error.message
+        })
+      );
+    return true;
+  }
+
+  if (message.type === "SCAN_TAB") {
+    scanTabForMedia(Number.isInteger(message.tabId) ? message.tabId : null)
+      .then((found) => sendResponse({ ok: true, found }))
+      .catch((error) =>
+        sendResponse({
+          ok: false,
+          error: error.message
+        })
+      );
+    return true;
+  }
+
+  if (message.type === "CANCEL_COURSE_CAPTURE") {
+    cancelCourseCapture()
+      .then((found) => sendResponse({ ok: true, found }))
+      .catch((error) =>
+        sendResponse({
+          ok: false,
+          error: error.message
+        })
+      );
+    return true;
+  }
+
   if (message.type === "CLEAR_DOWNLOAD_STATE") {
     clearDownloadState()
       .then(() => sendResponse({ ok: true }))
@@ -761,8 +2941,65 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   return undefined;
 });
 
+chrome.downloads.onChanged.addListener((delta) => {
+  const state = delta.state?.current;
+  if (state !== "complete" && state !== "interrupted") {
+    return;
+  }
+  settleBrowserDownload(delta.id, state, delta.error?.current).catch((error) => {
+    console.error("Failed to settle browser download", error);
+  });
+});
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== LESSON_PAGE_PORT_NAME || !port.sender || !port.sender.tab) {
+    return;
+  }
+
+  lessonPagePorts.add(port);
+  port.onDisconnect.addListener(() => {
+    lessonPagePorts.delete(port);
+  });
+  port.onMessage.addListener((message) => {
+    if (!isPlainObject(message)) {
+      return;
+    }
+    handleLessonPageMessage(port, message).catch((error) => {
+      if (lessonPagePorts.has(port)) {
+        port.postMessage({ type: "LESSON_ERROR", error: error.message });
+      }
+    });
+  });
+  postLessonPageSnapshots([port]).catch((error) => {
+    console.error("Failed to send lesson page state", error);
+  });
+});
+
+// Keeps in-page download controls live: captures land in storage.local, download state in storage.session.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const relevant = areaName === "local" ? changes[STORAGE_KEY] : areaName === "session" ? changes[DOWNLOAD_STATE_KEY] : null;
+  if (relevant && lessonPagePorts.size > 0) {
+    scheduleLessonPageSnapshots();
+  }
+});
+
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName !== "session" || !changes[STORAGE_KEY]) {
+  if (areaName !== "local") {
+    return;
+  }
+
+  if (changes[CAPTURE_RULES_KEY]) {
+    captureRulesCache = null;
+  }
+
+  if (changes[SETTINGS_KEY]) {
+    // Apply tightened retention limits right away instead of on the next capture.
+    storageUpdateQueue = storageUpdateQueue.then(() => initializeBadge()).catch((error) => {
+      console.error("Failed to apply library retention", error);
+    });
+  }
+
+  if (!changes[STORAGE_KEY]) {
     return;
   }
 
@@ -774,7 +3011,7 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
 
 async function initializeBadge() {
   const items = await getCapturedItems();
-  const normalized = normalizeCapturedItems(items);
+  const normalized = normalizeCapturedItems(items, await getCaptureRules(), await getSettings());
   if (JSON.stringify(normalized) !== JSON.stringify(items)) {
     await setCapturedItems(normalized);
   }
@@ -789,6 +3026,10 @@ chrome.runtime.onStartup.addListener(() => {
   initializeBadge().catch((error) => console.error("Badge init failed on startup", error));
 });
 
+recoverInterruptedDownloads().catch((error) => {
+  console.error("Failed to recover interrupted downloads", error);
+});
+
 initializeBadge().catch((error) => {
   console.error("Badge init failed at service worker boot", error);
 });
@@ -0,0 +1,250 @@
+// In-page download controls for GetCourse lesson pages. One control sits under each player; the
+// background worker matches captured items to players by page URL and player position (see
+// locateRequestPlayer and buildLessonPageSnapshot in background.js) and pushes their state over a port.
+const LESSON_PAGE_PORT_NAME = "lessonPage";
+const PLAYER_RESCAN_DELAY_MS = 500;
+const CONTROL_STYLES = `
+  :host {
+    all: initial;
+    display: block;
+    margin: 6px 0;
+    font-family: "Segoe UI", Tahoma, Arial, sans-serif;
+  }
+  .control {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    font-size: 12px;
+    color: #0f172a;
+  }
+  button {
+    border: 1px solid #0f766e;
+    background: #14b8a6;
+    color: #ffffff;
+    border-radius: 6px;
+    padding: 4px 10px;
+    font-size: 12px;
+    cursor: pointer;
+  }
+  button.stop {
+    border-color: #b91c1c;
+    background: #ef4444;
+  }
+  button.secondary {
+    border-color: #cbd5e1;
+    background: #ffffff;
+    color: #0f172a;
+  }
+  button:disabled {
+    opacity: 0.6;
+    cursor: default;
+  }
+  progress {
+    width: 120px;
+    height: 8px;
+  }
+  .label.error {
+    color: #b91c1c;
+  }
+`;
+
+// Players without a capture offer "Scan this tab" (SCAN_TAB in the popup) for media loaded earlier.
+const NOT_CAPTURED_VIEW = {
+  action: "SCAN",
+  buttonText: "Find video",
+  text: "Not captured yet. Press play, or find a video this page already loaded."
+};
+
+// player element -> { host, button, bar, label, item, action }
+const controls = new Map();
+let lessonItems = [];
+let lastError = "";
+let port = null;
+let rescanTimer = null;
+
+function isExtensionAlive() {
+  return Boolean(chrome.runtime && chrome.runtime.id);
+}
+
+function connect() {
+  if (port || !isExtensionAlive()) {
+    return;
+  }
+  try {
+    port = chrome.runtime.connect({ name: LESSON_PAGE_PORT_NAME });
+  } catch {
+    // The extension was reloaded; this page keeps its controls until it is reloaded too.
+    port = null;
+    return;
+  }
+  port.onMessage.addListener(handlePortMessage);
+  // The service worker went idle or restarted. Reconnecting right away would keep it running for as
+  // long as the tab is open, so the next interaction or visibility change reconnects instead.
+  port.onDisconnect.addListener(() => {
+    port = null;
+  });
+}
+
+function postToBackground(message) {
+  connect();
+  if (port) {
+    port.postMessage(message);
+  }
+}
+
+function handlePortMessage(message) {
+  if (!message || typeof message !== "object") {
+    return;
+  }
+  if (message.type === "LESSON_MEDIA") {
+    lessonItems = Array.isArray(message.items) ? message.items : [];
+    lastError = "";
+    renderControls();
+  } else if (message.type === "LESSON_ERROR") {
+    lastError = message.error || "Request failed.";
+    renderControls();
+  }
+}
+
+// Same rule as locateRequestPlayer in background.js: <video> elements and player-sized iframes of
+// the top document, in DOM order.
+function findPlayers() {
+  return Array.from(document.querySelectorAll("iframe, video")).filter((el) => {
+    if (el.tagName === "VIDEO") {
+      return true;
+    }
+    const rect = el.getBoundingClientRect();
+    return rect.width >= 160 && rect.height >= 90;
+  });
+}
+
+function createControl(player) {
+  const host = document.createElement("div");
+  const shadow = host.attachShadow({ mode: "closed" });
+  const style = document.createElement("style");
+  style.textContent = CONTROL_STYLES;
+  const wrapper = document.createElement("div");
+  wrapper.className = "control";
+  const button = document.createElement("button");
+  button.type = "button";
+  const bar = document.createElement("progress");
+  bar.max = 100;
+  bar.hidden = true;
+  const label = document.createElement("span");
+  label.className = "label";
+  wrapper.append(button, bar, label);
+  shadow.append(style, wrapper);
+  player.insertAdjacentElement("afterend", host);
+
+  const control = { host, button, bar, label, item: null, action: null };
+  button.addEventListener("click", () => {
+    if (control.action === "SCAN") {
+      postToBackground({ type: "SCAN" });
+    } else if (control.action && control.item) {
+      postToBackground({ type: control.action, mediaKey: control.item.mediaKey });
+    }
+  });
+  return control;
+}
+
+// The item of the player at 1-based index; an item without a recorded position belongs to the
+// only player. Items arrive most recent first, so the latest capture wins.
+function findPlayerItem(index, playerCount) {
+  return (
+    lessonItems.find((item) => item.playerIndex === index) ||
+    (playerCount === 1 ? lessonItems.find((item) => item.playerIndex === null) : null) ||
+    null
+  );
+}
+
+function formatResolution(resolution) {
+  return /^\d+$/.test(String(resolution || "")) ? ` (${resolution}p)` : "";
+}
+
+// Button action and label for a captured item's download state.
+function describeItem(item) {
+  const state = item.state;
+  const name = state ? state.state : "";
+  if (name === "running" && state.progress) {
+    const percent = Number(state.progress.percent) || 0;
+    return { action: "STOP", buttonText: "Stop", text: `${percent}%`, percent };
+  }
+  if (name === "running" || name === "queued" || name === "paused") {
+    return { action: "STOP", buttonText: "Stop", text: state.message || (name === "paused" ? "Paused" : "Queued") };
+  }
+  if (name === "saving" || name === "cancel_requested") {
+    return { action: null, buttonText: "Download", text: state.message || "Working..." };
+  }
+  if (name === "success") {
+    const saved = state.savedPath ? `Saved: ${state.savedPath}` : "Saved";
+    return {
+      action: "START",
+      buttonText: "Download again",
+      text: state.warning ? `${saved}. Check the file: ${state.warning}` : saved,
+      error: Boolean(state.warning)
+    };
+  }
+  if (name === "error" || name === "interrupted") {
+    return {
+      action: "START",
+      buttonText: "Retry",
+      text: state.error || state.message || "Download failed",
+      error: true
+    };
+  }
+  return {
+    action: "START",
+    buttonText: `Download${formatResolution(item.resolution)}`,
+    text: name === "cancelled" ? "Cancelled" : ""
+  };
+}
+
+function renderControls() {
+  const players = findPlayers();
+  for (const [player, control] of controls) {
+    if (!players.includes(player) || !player.isConnected) {
+      control.host.remove();
+      controls.delete(player);
+    }
+  }
+
+  players.forEach((player, index) => {
+    let control = controls.get(player);
+    if (!control) {
+      control = createControl(player);
+      controls.set(player, control);
+    }
+    const item = findPlayerItem(index + 1, players.length);
+    const view = item ? describeItem(item) : NOT_CAPTURED_VIEW;
+    control.item = item;
+    control.action = view.action;
+    control.button.textContent = view.buttonText;
+    control.button.className = view.action === "STOP" ? "stop" : view.action === "SCAN" ? "secondary" : "";
+    control.button.disabled = !view.action;
+    control.bar.hidden = view.percent === undefined;
+    control.bar.value = Math.min(100, Math.max(0, Number(view.percent) || 0));
+    control.label.textContent = lastError || view.text;
+    control.label.className = lastError || view.error ? "label error" : "label";
+  });
+}
+
+function scheduleRescan() {
+  clearTimeout(rescanTimer);
+  rescanTimer = setTimeout(renderControls, PLAYER_RESCAN_DELAY_MS);
+}
+
+// Players are often added after load (lazy blocks, player scripts replacing placeholders).
+// Inserting controls triggers one more pass, which finds nothing new.
+new MutationObserver(scheduleRescan).observe(document.documentElement, { childList: true, subtree: true });
+
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "visible") {
+    connect();
+  }
+});
+// Capture phase: player iframes and scripts that stop propagation still count as interaction.
+window.addEventListener("pointerdown", connect, true);
+window.addEventListener("keydown", connect, true);
+
+connect();
+renderControls();
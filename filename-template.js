@@ -0,0 +1,79 @@
+// Download filename templates, shared by offscreen.js (which names the saved files) and the
+// options page (which previews the template while it is edited).
+
+// Matches the old fixed "<lesson title> <video id>" naming.
+const DEFAULT_FILENAME_TEMPLATE = "{lessonTitle} {videoId}";
+const FILENAME_PART_MAX_LENGTH = 180;
+// Russian, Ukrainian and Belarusian letters (lowercase); used by the ":translit" template modifier.
+const CYRILLIC_TO_LATIN = {
+  а: "a", б: "b", в: "v", г: "g", ґ: "g", д: "d", е: "e", ё: "yo", є: "ye", ж: "zh", з: "z", и: "i", і: "i",
+  ї: "yi", й: "y", к: "k", л: "l", м: "m", н: "n", о: "o", п: "p", р: "r", с: "s", т: "t", у: "u", ў: "u",
+  ф: "f", х: "kh", ц: "ts", ч: "ch", ш: "sh", щ: "shch", ъ: "", ы: "y", ь: "", э: "e", ю: "yu", я: "ya"
+};
+
+export function sanitizeFilePart(value) {
+  return String(value || "")
+    .replace(/[<>:"/\\|?*\u0000-\u001f]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function transliterate(value) {
+  return String(value || "")
+    .replace(/[\u0400-\u04ff]/g, (char) => {
+      const lower = char.toLowerCase();
+      const latin = CYRILLIC_TO_LATIN[lower];
+      if (latin === undefined) {
+        return char;
+      }
+      return char === lower ? latin : latin.charAt(0).toUpperCase() + latin.slice(1);
+    })
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+// One folder or file name of a rendered template: brackets left empty by missing values and
+// separators at either end are dropped, as are names Windows reserves.
+function cleanFilenamePathPart(part) {
+  const cleaned = sanitizeFilePart(part)
+    .replace(/\[\s*\]|\(\s*\)/g, "")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s._-]+|[\s._-]+$/g, "")
+    .slice(0, FILENAME_PART_MAX_LENGTH)
+    .trim();
+  return /^(?:con|prn|aux|nul|com\d|lpt\d)$/i.test(cleaned) ? `_${cleaned}` : cleaned;
+}
+
+// Renders a Downloads-relative path such as "{school}/{course}/{lessonIndex:02} - {lessonTitle}".
+// Placeholder modifiers: ":0N" (or ":N") zero-pads numbers to N digits, ":translit" transliterates
+// Cyrillic to Latin. Values are sanitized before they are inserted, so only the template's own "/"
+// create subfolders; path parts that end up empty are skipped. The ".<ext>" is always appended
+// (a trailing ".{ext}" in the template is not doubled). options.transliterate applies to the
+// whole path.
+export function renderFilenameTemplate(template, values, options = {}) {
+  const source = String(template || "").trim() || DEFAULT_FILENAME_TEMPLATE;
+  const rendered = source.replace(/\.\{ext\}$/, "").replace(/\{(\w+)((?::\w+)*)\}/g, (token, name, modifiers) => {
+    if (!Object.hasOwn(values, name)) {
+      return token;
+    }
+    let value = sanitizeFilePart(values[name] ?? "");
+    for (const modifier of modifiers.split(":").slice(1)) {
+      if (/^\d+$/.test(modifier)) {
+        value = /^\d+$/.test(value) ? value.padStart(Number(modifier), "0") : value;
+      } else if (modifier === "translit") {
+        value = transliterate(value);
+      }
+    }
+    return value;
+  });
+
+  const parts = rendered
+    .split(/[\\/]+/)
+    .map((part) => cleanFilenamePathPart(options.transliterate ? transliterate(part) : part))
+    .filter((part) => part && part !== "..");
+  const ext = sanitizeFilePart(values.ext).replace(/^\.+/, "") || "ts";
+  if (parts.length === 0) {
+    parts.push("video");
+  }
+  return `${parts.join("/")}.${ext}`;
+}
@@ -1,9 +1,66 @@
 import { FFmpeg } from "./vendor/ffmpeg/esm/index.js";
-
-const MAX_SEGMENT_RETRIES = 12;
+import { FFFSType } from "./vendor/ffmpeg/esm/types.js";
+import { renderFilenameTemplate, sanitizeFilePart } from "./filename-template.js";
+
+// Fetch failures are classified (see classifyFetchError) and every class has its own retry count
+// (background passes the "Retries" settings with each job) and backoff:
+// delay = min(maxDelayMs, baseDelayMs * 2^attempt). A 429's Retry-After replaces the backoff.
+const DEFAULT_FETCH_RETRIES = {
+  network: 20,
+  timeout: 5,
+  "4xx-auth": 1,
+  "4xx-notfound": 1,
+  "5xx": 8,
+  "429-ratelimit": 8,
+  "content-invalid": 2
+};
+const FETCH_RETRY_BACKOFF = {
+  network: { baseDelayMs: 1000, maxDelayMs: 30_000 },
+  timeout: { baseDelayMs: 1000, maxDelayMs: 15_000 },
+  "4xx-auth": { baseDelayMs: 250, maxDelayMs: 1000 },
+  "4xx-notfound": { baseDelayMs: 500, maxDelayMs: 1000 },
+  "5xx": { baseDelayMs: 500, maxDelayMs: 15_000 },
+  "429-ratelimit": { baseDelayMs: 2000, maxDelayMs: 60_000 },
+  "content-invalid": { baseDelayMs: 500, maxDelayMs: 5000 }
+};
+const MAX_RETRY_AFTER_MS = 5 * 60_000;
+const DEFAULT_REQUEST_TIMEOUT_MS = 30_000;
+const MAX_SOURCE_REFRESHES = 3;
+const DEFAULT_SEGMENT_CONCURRENCY = 6;
+const MAX_SEGMENT_CONCURRENCY = 32;
+const SUBTITLE_MODES = ["off", "vtt", "srt", "embed"];
+// ffmpeg.wasm keeps its output in WebAssembly memory and readFile copies it out whole, so a run
+// needs about twice its output size. Larger inputs are not remuxed/muxed in-browser.
+const MAX_EMBEDDED_FFMPEG_BYTES = 1536 * 1024 * 1024;
+// Download speed is averaged over this window; progress-only updates go out at most this often.
+const PROGRESS_SPEED_WINDOW_MS = 5000;
+const PROGRESS_REPORT_INTERVAL_MS = 500;
+const TS_PACKET_SIZE = 188;
+// A segment that plays for less than this share of its EXTINF/manifest duration is treated as cut short.
+const MIN_SEGMENT_DURATION_RATIO = 0.5;
+// Allowed gap between the measured and the expected total: the larger of the two values below.
+const DURATION_TOLERANCE_SECONDS = 2;
+const DURATION_TOLERANCE_RATIO = 0.02;
+const MP4_TOP_LEVEL_BOXES = new Set(["ftyp", "styp", "moov", "moof", "mdat", "sidx", "emsg", "prft", "free", "skip", "uuid", "meta"]);
 const activeDownloads = new Map();
 let ffmpegLoader = null;
 let ffmpegInstance = null;
+// Fetch policy of jobs without their own (see createFetchPolicy); timeoutMs 0 disables the timeout.
+const DEFAULT_FETCH_POLICY = {
+  retries: { ...DEFAULT_FETCH_RETRIES },
+  timeoutMs: DEFAULT_REQUEST_TIMEOUT_MS,
+  concurrency: DEFAULT_SEGMENT_CONCURRENCY
+};
+// Job AbortSignal -> OPFS workspace (segment store + output files), so every resolver can persist
+// segments and assemble on disk without extra plumbing.
+const jobWorkspaces = new WeakMap();
+// Output directories of jobs that are still running in this document; never swept.
+const activeJobOutputNames = new Set();
+// Chrome download id -> { blobUrl, workspace } for files Chrome is still reading. Background sends
+// OFFSCREEN_RELEASE_DOWNLOAD once the download completes or is interrupted.
+const handedOffDownloads = new Map();
+// Releases that arrived before BROWSER_DOWNLOAD_START answered (files Chrome saved instantly).
+const earlyReleasedDownloadIds = new Set();
 
 class CancelledError extends Error {
   constructor(message) {
@@ -20,10 +77,60 @@ class FfmpegRequiredError extends Error {
   }
 }
 
+// Thrown before an ffmpeg run whose inputs exceed MAX_EMBEDDED_FFMPEG_BYTES.
+class EmbeddedFfmpegLimitError extends Error {
+  constructor(inputBytes) {
+    super(
+      `Input is too large for embedded ffmpeg (${Math.round(inputBytes / 1048576)} MB); its output must fit in WebAssembly memory.`
+    );
+    this.name = "EmbeddedFfmpegLimitError";
+    this.inputBytes = inputBytes;
+  }
+}
+
+// Thrown once every segment has been fetched when some of them failed validation. badSegments holds
+// { index, problem } entries (index within the track); the good segments stay in the segment store.
+class SegmentIntegrityError extends Error {
+  constructor(message, badSegments) {
+    super(message);
+    this.name = "SegmentIntegrityError";
+    this.code = "content-invalid";
+    this.badSegments = badSegments || [];
+  }
+}
+
+// A segment URL kept answering 401/403/410 (an expired signed link) and could not be refreshed.
+class SourceExpiredError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "SourceExpiredError";
+    this.code = "4xx-auth";
+    this.status = status || 0;
+  }
+}
+
+// A classified fetch failure. code is a key of DEFAULT_FETCH_RETRIES and is reported as the job's
+// errorCode when the retries run out.
+class FetchError extends Error {
+  constructor(message, code, options = {}) {
+    super(message);
+    this.name = "FetchError";
+    this.code = code;
+    this.status = options.status || 0;
+    this.retryAfterMs = options.retryAfterMs || 0;
+  }
+}
+
 function isCancelledError(error) {
   return error instanceof CancelledError || error?.name === "AbortError";
 }
 
+// Errors that end the job as they are: fallback routes would hit the same cancel, bad segments or
+// expired links, so they are not tried.
+function isFinalJobError(error) {
+  return isCancelledError(error) || error instanceof SegmentIntegrityError || error instanceof SourceExpiredError;
+}
+
 function throwIfAborted(signal) {
   if (signal && signal.aborted) {
     throw new CancelledError("Download cancelled by user.");
@@ -55,11 +162,17 @@ function sleep(ms, signal) {
   });
 }
 
-function sanitizeFilePart(value) {
-  return String(value || "")
-    .replace(/[<>:"/\\|?*\u0000-\u001f]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
+// Settles with the promise, or rejects as cancelled as soon as the signal aborts.
+function untilAborted(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new CancelledError("Download cancelled by user."));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
 }
 
 function extractCustomMediaInfoFromParsedUrl(parsed) {
@@ -157,17 +270,71 @@ function extractMediaInfoFromUrl(urlString) {
   }
 }
 
-function buildDownloadFilename(urlString, lessonTitle, fileExtension) {
-  const mediaInfo = extractMediaInfoFromUrl(urlString);
-  let videoId = sanitizeFilePart(mediaInfo ? mediaInfo.videoId : "video");
-  if (videoId.length > 48) {
-    videoId = videoId.slice(0, 48);
+function deriveVideoIdFromMediaKey(mediaKey) {
+  const withoutPrefix = String(mediaKey || "").replace(/^[a-z-]+:/i, "");
+  const segments = withoutPrefix.split("/").filter(Boolean);
+  return segments.length > 0 ? segments[segments.length - 1] : withoutPrefix;
+}
+
+// Background resolves captures through user-defined rules, so its media info wins over URL parsing here.
+function resolveJobMediaInfo(urlString, requestedInfo) {
+  const derived = extractMediaInfoFromUrl(urlString);
+  if (!isPlainObject(requestedInfo) || typeof requestedInfo.mediaKey !== "string" || !requestedInfo.mediaKey) {
+    return derived;
+  }
+
+  const mediaKey = requestedInfo.mediaKey;
+  const sourceType =
+    typeof requestedInfo.sourceType === "string" && requestedInfo.sourceType
+      ? requestedInfo.sourceType
+      : derived?.sourceType || "custom";
+  return {
+    mediaKey,
+    videoId: derived && derived.mediaKey === mediaKey ? derived.videoId : deriveVideoIdFromMediaKey(mediaKey),
+    resolution: typeof requestedInfo.resolution === "string" ? requestedInfo.resolution : derived?.resolution || "",
+    sourceType
+  };
+}
+
+function formatResolutionLabel(resolution, preferredHeight) {
+  if (/^\d+$/.test(String(resolution || ""))) {
+    return `${resolution}p`;
   }
-  const title = sanitizeFilePart(lessonTitle);
-  const rawName = title ? `${title} ${videoId}` : videoId;
-  const normalized = sanitizeFilePart(rawName).slice(0, 180) || "video";
-  const ext = String(fileExtension || "ts").replace(/^\./, "");
-  return `${normalized}.${ext || "ts"}`;
+  return preferredHeight > 0 ? `${preferredHeight}p` : "";
+}
+
+function formatLocalDate(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// naming carries the "Filename template" settings plus what background knows about the lesson
+// (school, course, module, moduleIndex, lessonIndex and the video* fields for pages with several
+// players); without it the default template applies.
+function buildDownloadFilename(mediaInfo, lessonTitle, fileExtension, naming = null) {
+  const values = {
+    school: naming?.school || "",
+    course: naming?.course || "",
+    module: naming?.module || "",
+    moduleIndex: naming?.moduleIndex ?? "",
+    lessonIndex: naming?.lessonIndex ?? "",
+    videoIndex: naming?.videoIndex ?? "",
+    videoCount: naming?.videoCount ?? "",
+    videoLabel: naming?.videoLabel || "",
+    videoHeading: naming?.videoHeading || "",
+    lessonTitle: lessonTitle || "",
+    videoId: sanitizeFilePart(mediaInfo ? mediaInfo.videoId : "video").slice(0, 48),
+    resolution: formatResolutionLabel(mediaInfo?.resolution, Number(naming?.preferredHeight) || 0),
+    sourceType: mediaInfo?.sourceType || "",
+    date: formatLocalDate(new Date()),
+    ext: fileExtension
+  };
+  return renderFilenameTemplate(naming?.template, values, { transliterate: naming?.transliterate === true });
+}
+
+// Sources whose playlists usually carry MPEG-TS segments that can be remuxed to MP4.
+function isTsPlaylistSourceType(sourceType) {
+  return sourceType === "custom" || sourceType === "hls";
 }
 
 function splitPlaylistLines(text) {
@@ -211,7 +378,8 @@ function shellQuote(value) {
 }
 
 function buildFfmpegCommand(inputUrl, outputFilename) {
-  const outputName = sanitizeFilePart(outputFilename || "video.mp4").slice(0, 140) || "video.mp4";
+  // Template subfolders are left out; the command writes straight into ~/Downloads.
+  const outputName = sanitizeFilePart((outputFilename || "video.mp4").split("/").pop()).slice(0, 140) || "video.mp4";
   const outputPath = `$HOME/Downloads/${outputName}`;
   return `ffmpeg -hide_banner -loglevel warning -i ${shellQuote(
     inputUrl
@@ -304,15 +472,21 @@ function getTrackBaseCandidates(track, manifestBase, playlistUrl) {
   return [trackBase, manifestBase, playlistUrl];
 }
 
-async function collectTrackChunks(track, manifestBase, playlistUrl, signal, progressCallback, progressPrefix) {
-  const baseCandidates = getTrackBaseCandidates(track, manifestBase, playlistUrl);
-  const chunks = [];
-
-  if (typeof track?.init_segment === "string" && track.init_segment.length > 0) {
-    chunks.push(decodeBase64ToArrayBuffer(track.init_segment));
+async function fetchVimeoPlaylistJson(playlistUrl, signal) {
+  const playlistText = await fetchText(playlistUrl, signal);
+  try {
+    return JSON.parse(playlistText);
+  } catch {
+    throw new Error("Vimeo playlist response is not valid JSON.");
   }
+}
 
+// Resolves the segment URLs of one playlist.json track, falling back to its single "url" when
+// the track is not segmented. segmentDurations lines up with segmentUrls.
+function buildVimeoTrackSegments(track, manifestBase, playlistUrl, signal) {
+  const baseCandidates = getTrackBaseCandidates(track, manifestBase, playlistUrl);
   const segmentUrls = [];
+  const segmentDurations = [];
   if (Array.isArray(track?.segments)) {
     for (const segment of track.segments) {
       throwIfAborted(signal);
@@ -323,6 +497,7 @@ async function collectTrackChunks(track, manifestBase, playlistUrl, signal, prog
       const resolved = resolveWithFallback(part, baseCandidates);
       if (resolved) {
         segmentUrls.push(resolved);
+        segmentDurations.push(getVimeoSegmentDuration(segment));
       }
     }
   }
@@ -334,45 +509,83 @@ async function collectTrackChunks(track, manifestBase, playlistUrl, signal, prog
     }
   }
 
+  return { segmentUrls, segmentDurations };
+}
+
+// resolveSegments hook (see downloadSegmentsToFile) for a playlist.json track: finds the same
+// track in a freshly signed playlist and resolves its segments against the new base URLs.
+function refreshVimeoTrackSegments(track, signal) {
+  return async (playlistUrl) => {
+    const manifest = await fetchVimeoPlaylistJson(playlistUrl, signal);
+    const tracks = [...(Array.isArray(manifest?.video) ? manifest.video : []), ...(Array.isArray(manifest?.audio) ? manifest.audio : [])];
+    const freshTrack = tracks.find((candidate) => candidate && track.id !== undefined && candidate.id === track.id);
+    if (!freshTrack) {
+      throw new Error(`track ${track.id} is missing from the refreshed playlist`);
+    }
+    const manifestBase = resolveUrl(manifest.base_url || "", playlistUrl) || playlistUrl;
+    return buildVimeoTrackSegments(freshTrack, manifestBase, playlistUrl, signal).segmentUrls;
+  };
+}
+
+async function collectTrackFile(track, manifestBase, playlistUrl, signal, progressCallback, progressPrefix, label = "video") {
+  const prefixBuffers = [];
+  if (typeof track?.init_segment === "string" && track.init_segment.length > 0) {
+    prefixBuffers.push(decodeBase64ToArrayBuffer(track.init_segment));
+  }
+
+  const { segmentUrls, segmentDurations } = buildVimeoTrackSegments(track, manifestBase, playlistUrl, signal);
   if (segmentUrls.length === 0) {
     throw new Error("Track has no usable segment URLs.");
   }
 
-  for (let i = 0; i < segmentUrls.length; i += 1) {
-    throwIfAborted(signal);
-    if (typeof progressCallback === "function") {
-      await progressCallback(`${progressPrefix} ${i + 1}/${segmentUrls.length}...`);
+  const file = await downloadSegmentsToFile(
+    segmentUrls,
+    signal,
+    async (index, total) => {
+      if (typeof progressCallback === "function") {
+        await progressCallback(`${progressPrefix} ${index}/${total}...`);
+      }
+    },
+    {
+      prefixBuffers,
+      extension: "mp4",
+      segmentDurations,
+      expectedDuration: track?.duration,
+      label,
+      resolveSegments: refreshVimeoTrackSegments(track, signal)
     }
-    const buffer = await fetchSegmentWithRetry(segmentUrls[i], MAX_SEGMENT_RETRIES, signal);
-    chunks.push(buffer);
-  }
+  );
 
   return {
-    chunks,
+    file,
     segmentCount: segmentUrls.length
   };
 }
 
-function concatArrayBuffers(buffers) {
-  const total = buffers.reduce((acc, buf) => acc + (buf?.byteLength || 0), 0);
-  const out = new Uint8Array(total);
-  let offset = 0;
-  for (const buf of buffers) {
-    const view = new Uint8Array(buf);
-    out.set(view, offset);
-    offset += view.byteLength;
+// Audio exports of separate A/V manifests fetch only the best audio track. Returns null when the
+// manifest has no separate audio (muxed or embedded-audio video), so the caller extracts from video.
+async function resolveVimeoAudioTrackFromPlaylistJson(playlistUrl, signal, progressCallback) {
+  const manifest = await fetchVimeoPlaylistJson(playlistUrl, signal);
+
+  const audioTracks = sortTracksByQuality((Array.isArray(manifest?.audio) ? manifest.audio : []).filter(hasUsableTrackSource));
+  if (audioTracks.length === 0) {
+    return null;
   }
-  return out;
+
+  const manifestBase = resolveUrl(manifest.base_url || "", playlistUrl) || playlistUrl;
+  return collectTrackFile(
+    audioTracks[0],
+    manifestBase,
+    playlistUrl,
+    signal,
+    progressCallback,
+    "Downloading audio track segments",
+    "audio"
+  );
 }
 
-async function resolveVimeoSeparateTracksFromPlaylistJson(playlistUrl, signal, progressCallback) {
-  const playlistText = await fetchText(playlistUrl, signal);
-  let manifest;
-  try {
-    manifest = JSON.parse(playlistText);
-  } catch {
-    throw new Error("Vimeo playlist response is not valid JSON.");
-  }
+async function resolveVimeoSeparateTracksFromPlaylistJson(playlistUrl, signal, progressCallback, options = {}) {
+  const manifest = await fetchVimeoPlaylistJson(playlistUrl, signal);
 
   const videoTracks = sortTracksByQuality((Array.isArray(manifest?.video) ? manifest.video : []).filter(hasUsableTrackSource));
   const audioTracks = sortTracksByQuality((Array.isArray(manifest?.audio) ? manifest.audio : []).filter(hasUsableTrackSource));
@@ -380,11 +593,11 @@ async function resolveVimeoSeparateTracksFromPlaylistJson(playlistUrl, signal, p
     throw new Error("Vimeo separate A/V manifest does not provide both video and audio tracks.");
   }
 
-  const bestVideo = videoTracks[0];
+  const bestVideo = pickTrackForHeight(videoTracks, options.preferredHeight);
   const bestAudio = audioTracks[0];
   const manifestBase = resolveUrl(manifest.base_url || "", playlistUrl) || playlistUrl;
 
-  const videoResult = await collectTrackChunks(
+  const videoResult = await collectTrackFile(
     bestVideo,
     manifestBase,
     playlistUrl,
@@ -392,89 +605,339 @@ async function resolveVimeoSeparateTracksFromPlaylistJson(playlistUrl, signal, p
     progressCallback,
     "Downloading video track segments"
   );
-  const audioResult = await collectTrackChunks(
+  const audioResult = await collectTrackFile(
     bestAudio,
     manifestBase,
     playlistUrl,
     signal,
     progressCallback,
-    "Downloading audio track segments"
+    "Downloading audio track segments",
+    "audio"
   );
 
   return {
-    videoBuffer: concatArrayBuffers(videoResult.chunks),
-    audioBuffer: concatArrayBuffers(audioResult.chunks),
+    videoFile: videoResult.file,
+    audioFile: audioResult.file,
     videoSegmentCount: videoResult.segmentCount,
     audioSegmentCount: audioResult.segmentCount
   };
 }
 
-async function runEmbeddedFfmpegMuxFromBuffers(videoBuffer, audioBuffer, outputFilename, signal, debugLog) {
+// options.allowLargeInputs skips the size guard for small outputs (audio extraction);
+// options.onLog receives every ffmpeg log line of this run.
+async function runEmbeddedFfmpegOnFiles(inputFiles, buildArgs, outputFilename, signal, debugLog, options = {}) {
+  const inputBytes = inputFiles.reduce((acc, file) => acc + file.size, 0);
+  if (!options.allowLargeInputs && inputBytes > MAX_EMBEDDED_FFMPEG_BYTES) {
+    throw new EmbeddedFfmpegLimitError(inputBytes);
+  }
+
   throwIfAborted(signal);
   const ffmpeg = await ensureEmbeddedFfmpeg(debugLog);
   throwIfAborted(signal);
 
-  const videoInput = "input_video.mp4";
-  const audioInput = "input_audio.m4a";
+  // Job tags are written by every run; cover art only into MP4 outputs with one video stream.
   const outputFile = sanitizeFilePart(outputFilename || "output.mp4") || "output.mp4";
-  await ffmpeg.writeFile(videoInput, new Uint8Array(videoBuffer), { signal });
-  await ffmpeg.writeFile(audioInput, new Uint8Array(audioBuffer), { signal });
+  const outputExtension = outputFile.split(".").pop().toLowerCase();
+  const tags = jobWorkspaces.get(signal)?.tags || null;
+  const cover = tags && tags.cover && outputExtension === "mp4" ? tags.cover : null;
+  const mountedFiles = cover ? [...inputFiles, cover.file] : inputFiles;
+
+  // Inputs are mounted read-only from OPFS through WORKERFS, so ffmpeg reads them from disk
+  // instead of from copies in WebAssembly memory. Only the output lives in MEMFS.
+  const mountPoint = `/job-input-${Date.now()}`;
+  const inputPaths = mountedFiles.map((file, index) => `${mountPoint}/input-${index}-${file.name}`);
+  await ffmpeg.createDir(mountPoint, { signal });
+  await ffmpeg.mount(
+    FFFSType.WORKERFS,
+    { blobs: mountedFiles.map((file, index) => ({ name: inputPaths[index].slice(mountPoint.length + 1), data: file })) },
+    mountPoint
+  );
 
-  const args = [
-    "-i",
-    videoInput,
-    "-i",
-    audioInput,
-    "-map",
-    "0:v:0",
-    "-map",
-    "1:a:0",
-    "-c",
-    "copy",
-    "-movflags",
-    "+faststart",
-    outputFile
-  ];
+  const args = buildArgs(inputPaths.slice(0, inputFiles.length), outputFile);
+  if (tags) {
+    const tagArgs = buildMetadataArgs(tags.metadata);
+    if (cover) {
+      args.splice(args.lastIndexOf("-i") + 2, 0, "-i", inputPaths[inputFiles.length]);
+      tagArgs.push(
+        "-map",
+        `${inputFiles.length}:v:0`,
+        "-c:v:1",
+        cover.needsEncode ? "mjpeg" : "copy",
+        "-disposition:v:1",
+        "attached_pic"
+      );
+    }
+    args.splice(args.length - 1, 0, ...tagArgs);
+  }
 
-  const ret = await ffmpeg.exec(args, -1, { signal });
-  if (ret !== 0) {
-    throw new Error(`embedded ffmpeg exited with code ${ret}`);
+  const logListener = typeof options.onLog === "function" ? ({ message }) => options.onLog(String(message || "")) : null;
+  if (logListener) {
+    ffmpeg.on("log", logListener);
+  }
+  const progress = jobWorkspaces.get(signal)?.progress || null;
+  const progressListener = progress
+    ? ({ progress: value }) => {
+        progress.setRatio(value);
+        progress.report();
+      }
+    : null;
+  if (progressListener) {
+    progress.beginProcessing(outputExtension);
+    ffmpeg.on("progress", progressListener);
   }
 
-  const output = await ffmpeg.readFile(outputFile, "binary", { signal });
   try {
-    await ffmpeg.deleteFile(videoInput);
-    await ffmpeg.deleteFile(audioInput);
-    await ffmpeg.deleteFile(outputFile);
-  } catch {
-    // Ignore cleanup failures.
+    const ret = await ffmpeg.exec(args, -1, {
+      signal
+    });
+    if (ret !== 0) {
+      throw new Error(`embedded ffmpeg exited with code ${ret}`);
+    }
+
+    const output = await ffmpeg.readFile(outputFile, "binary", { signal });
+    const file = await writeBuffersToJobFile(signal, [output], outputExtension || "mp4");
+    if (tags) {
+      tags.applied = true;
+    }
+    return file;
+  } finally {
+    if (logListener) {
+      ffmpeg.off("log", logListener);
+    }
+    if (progressListener) {
+      ffmpeg.off("progress", progressListener);
+    }
+    try {
+      await ffmpeg.deleteFile(outputFile);
+    } catch {
+      // Ignore cleanup failures (the output may not exist).
+    }
+    try {
+      await ffmpeg.unmount(mountPoint);
+      await ffmpeg.deleteDir(mountPoint);
+    } catch {
+      // Ignore cleanup failures.
+    }
   }
-  return asArrayBuffer(output);
 }
 
-async function runEmbeddedFfmpegRemuxTsToMp4(tsBuffer, outputFilename, signal, debugLog) {
-  throwIfAborted(signal);
-  const ffmpeg = await ensureEmbeddedFfmpeg(debugLog);
-  throwIfAborted(signal);
+async function runEmbeddedFfmpegMuxFromFiles(videoFile, audioFile, outputFilename, signal, debugLog) {
+  return runEmbeddedFfmpegOnFiles(
+    [videoFile, audioFile],
+    ([videoInput, audioInput], outputFile) => [
+      "-i",
+      videoInput,
+      "-i",
+      audioInput,
+      "-map",
+      "0:v:0",
+      "-map",
+      "1:a:0",
+      "-c",
+      "copy",
+      "-movflags",
+      "+faststart",
+      outputFile
+    ],
+    outputFilename,
+    signal,
+    debugLog
+  );
+}
 
-  const tsInput = "input.ts";
-  const outputFile = sanitizeFilePart(outputFilename || "output.mp4") || "output.mp4";
-  await ffmpeg.writeFile(tsInput, new Uint8Array(tsBuffer), { signal });
+async function runEmbeddedFfmpegRemuxTsToMp4(tsFile, outputFilename, signal, debugLog) {
+  return runEmbeddedFfmpegOnFiles(
+    [tsFile],
+    ([tsInput], outputFile) => [
+      "-i",
+      tsInput,
+      "-map",
+      "0:v:0?",
+      "-map",
+      "0:a:0?",
+      "-c",
+      "copy",
+      "-movflags",
+      "+faststart",
+      outputFile
+    ],
+    outputFilename,
+    signal,
+    debugLog
+  );
+}
 
-  const args = ["-i", tsInput, "-map", "0:v:0?", "-map", "0:a:0?", "-c", "copy", "-movflags", "+faststart", outputFile];
-  const ret = await ffmpeg.exec(args, -1, { signal });
-  if (ret !== 0) {
-    throw new Error(`embedded ffmpeg exited with code ${ret}`);
+// A copy-only pass for MP4 outputs that never went through ffmpeg (progressive, Vimeo muxed,
+// video-only DASH), so they get the job tags too.
+async function runEmbeddedFfmpegTagMp4(mp4File, outputFilename, signal, debugLog) {
+  return runEmbeddedFfmpegOnFiles(
+    [mp4File],
+    ([input], outputFile) => [
+      "-i",
+      input,
+      "-map",
+      "0:v:0?",
+      "-map",
+      "0:a?",
+      "-map",
+      "0:s?",
+      "-c",
+      "copy",
+      "-movflags",
+      "+faststart",
+      outputFile
+    ],
+    outputFilename,
+    signal,
+    debugLog
+  );
+}
+
+const MEDIA_METADATA_FIELDS = ["title", "artist", "album", "track", "comment", "date"];
+
+function normalizeMediaMetadata(value) {
+  if (!isPlainObject(value)) {
+    return null;
+  }
+  const metadata = {};
+  for (const field of MEDIA_METADATA_FIELDS) {
+    const fieldValue = value[field];
+    if ((typeof fieldValue === "string" && fieldValue.trim()) || Number.isInteger(fieldValue)) {
+      metadata[field] = typeof fieldValue === "string" ? fieldValue.trim() : fieldValue;
+    }
+  }
+  metadata.posterUrl = typeof value.posterUrl === "string" && isHttpUrl(value.posterUrl) ? value.posterUrl : "";
+  return metadata;
+}
+
+function buildMetadataArgs(metadata) {
+  return MEDIA_METADATA_FIELDS.filter((field) => metadata[field] !== undefined).flatMap((field) => [
+    "-metadata",
+    `${field}=${metadata[field]}`
+  ]);
+}
+
+// JPEG and PNG posters are copied as-is; anything else (e.g. WebP thumbnails) is re-encoded.
+async function downloadCoverArt(posterUrl, signal) {
+  const response = await fetch(posterUrl, { credentials: "include", signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const contentType = String(response.headers.get("content-type") || "").toLowerCase();
+  if (!contentType.startsWith("image/")) {
+    throw new Error(`not an image (${contentType || "unknown type"})`);
+  }
+  const extension = contentType.includes("png") ? "png" : /jpe?g/.test(contentType) ? "jpg" : contentType.slice(6) || "img";
+  const file = await writeBuffersToJobFile(signal, [await response.arrayBuffer()], extension);
+  return { file, needsEncode: extension !== "png" && extension !== "jpg" };
+}
+
+async function prepareOutputTags(metadata, signal, debugLog) {
+  if (!metadata) {
+    return null;
+  }
+  let cover = null;
+  if (metadata.posterUrl) {
+    try {
+      cover = await downloadCoverArt(metadata.posterUrl, signal);
+      debugLog(`Fetched cover art from ${safeUrlForLog(metadata.posterUrl)}`);
+    } catch (error) {
+      if (isCancelledError(error) || signal.aborted) {
+        throw error;
+      }
+      debugLog(`Cover art unavailable: ${String(error?.message || error)}`);
+    }
+  }
+  if (!cover && !MEDIA_METADATA_FIELDS.some((field) => metadata[field] !== undefined)) {
+    return null;
+  }
+  return { metadata, cover, applied: false };
+}
+
+// M4A is a stream copy when the first audio stream is AAC (read from ffmpeg's input dump) and an
+// AAC transcode otherwise; MP3 is always transcoded. Returns { file, mimeType, fileExtension }.
+async function runEmbeddedFfmpegExtractAudio(inputFile, format, outputFilename, signal, debugLog) {
+  const buildAudioArgs = (codecArgs) => ([input], outputFile) => [
+    "-i",
+    input,
+    "-map",
+    "0:a:0",
+    "-vn",
+    ...codecArgs,
+    ...(format === "mp3" ? [] : ["-movflags", "+faststart"]),
+    outputFile
+  ];
+  const run = (codecArgs, onLog) =>
+    runEmbeddedFfmpegOnFiles([inputFile], buildAudioArgs(codecArgs), outputFilename, signal, debugLog, {
+      allowLargeInputs: true,
+      onLog
+    });
+
+  if (format === "mp3") {
+    return {
+      file: await run(["-c:a", "libmp3lame", "-q:a", "2"]),
+      mimeType: "audio/mpeg",
+      fileExtension: "mp3"
+    };
   }
 
-  const output = await ffmpeg.readFile(outputFile, "binary", { signal });
+  let sourceCodec = "";
+  let copied = null;
   try {
-    await ffmpeg.deleteFile(tsInput);
-    await ffmpeg.deleteFile(outputFile);
-  } catch {
-    // Ignore cleanup failures.
+    copied = await run(["-c:a", "copy"], (message) => {
+      const match = message.match(/Stream #0:\d+.*?: Audio: (\w+)/);
+      if (match && !sourceCodec) {
+        sourceCodec = match[1].toLowerCase();
+      }
+    });
+  } catch (error) {
+    if (isCancelledError(error) || signal.aborted) {
+      throw error;
+    }
+    debugLog(`Audio stream copy failed: ${String(error?.message || error)}`);
   }
-  return asArrayBuffer(output);
+
+  if (copied && sourceCodec === "aac") {
+    debugLog("Audio is AAC; saved M4A by stream copy.");
+    return { file: copied, mimeType: "audio/mp4", fileExtension: "m4a" };
+  }
+
+  debugLog(`Audio codec is ${sourceCodec || "unknown"}; transcoding to AAC.`);
+  return {
+    file: await run(["-c:a", "aac", "-b:a", "192k"]),
+    mimeType: "audio/mp4",
+    fileExtension: "m4a"
+  };
+}
+
+// Adds WebVTT files as mov_text streams; MP4 cannot carry WebVTT as-is.
+async function runEmbeddedFfmpegEmbedSubtitles(videoFile, subtitles, outputFilename, signal, debugLog) {
+  return runEmbeddedFfmpegOnFiles(
+    [videoFile, ...subtitles.map((subtitle) => subtitle.file)],
+    ([videoInput, ...subtitleInputs], outputFile) => [
+      "-i",
+      videoInput,
+      ...subtitleInputs.flatMap((input) => ["-i", input]),
+      "-map",
+      "0:v:0?",
+      "-map",
+      "0:a?",
+      ...subtitleInputs.flatMap((_input, index) => ["-map", `${index + 1}:0`]),
+      "-c",
+      "copy",
+      "-c:s",
+      "mov_text",
+      ...subtitles.flatMap((subtitle, index) =>
+        subtitle.language ? [`-metadata:s:s:${index}`, `language=${subtitle.language}`] : []
+      ),
+      "-movflags",
+      "+faststart",
+      outputFile
+    ],
+    outputFilename,
+    signal,
+    debugLog
+  );
 }
 
 async function fetchText(urlString, signal) {
@@ -485,84 +948,1231 @@ async function fetchText(urlString, signal) {
     signal
   });
   if (!response.ok) {
-    throw new Error(`Failed to fetch ${urlString} (HTTP ${response.status})`);
+    const error = createHttpFetchError(response);
+    throw new FetchError(`Failed to fetch ${urlString} (${error.message})`, error.code, { status: error.status });
   }
   return response.text();
 }
 
-async function fetchSegmentWithRetry(urlString, retries, signal) {
-  let attempt = 0;
+// Per-job retry, timeout and "Parallel segment fetches" settings, stored on the job workspace so
+// concurrent jobs keep the policy they were started with.
+function createFetchPolicy(message) {
+  const timeoutSeconds = Number(message.requestTimeoutSeconds);
+  const concurrency = Math.floor(Number(message.segmentConcurrency));
+  return {
+    concurrency: concurrency > 0 ? Math.min(concurrency, MAX_SEGMENT_CONCURRENCY) : DEFAULT_SEGMENT_CONCURRENCY,
+    retries: normalizeFetchRetries(message.fetchRetries),
+    timeoutMs: Number.isFinite(timeoutSeconds) && timeoutSeconds >= 0 ? timeoutSeconds * 1000 : DEFAULT_REQUEST_TIMEOUT_MS
+  };
+}
+
+function getJobFetchPolicy(signal) {
+  return (signal && jobWorkspaces.get(signal)?.fetchPolicy) || DEFAULT_FETCH_POLICY;
+}
+
+function normalizeFetchRetries(value) {
+  const retries = {};
+  for (const [code, fallback] of Object.entries(DEFAULT_FETCH_RETRIES)) {
+    const count = Number(value?.[code]);
+    retries[code] = Number.isInteger(count) && count >= 0 ? count : fallback;
+  }
+  return retries;
+}
+
+// Retry-After is either delta-seconds or an HTTP date.
+function parseRetryAfterMs(value) {
+  const text = String(value || "").trim();
+  if (!text) {
+    return 0;
+  }
+  const ms = /^\d+$/.test(text) ? Number(text) * 1000 : Date.parse(text) - Date.now();
+  return Number.isFinite(ms) && ms > 0 ? Math.min(ms, MAX_RETRY_AFTER_MS) : 0;
+}
+
+function createHttpFetchError(response) {
+  const status = response.status;
+  if (status === 401 || status === 403 || status === 410) {
+    return new FetchError(`HTTP ${status} (link expired or access denied)`, "4xx-auth", { status });
+  }
+  if (status === 429) {
+    const retryAfterMs = parseRetryAfterMs(response.headers.get("retry-after"));
+    return new FetchError(`HTTP 429 (rate limited)`, "429-ratelimit", { status, retryAfterMs });
+  }
+  if (status === 408) {
+    return new FetchError("HTTP 408 (request timeout)", "timeout", { status });
+  }
+  if (status >= 500) {
+    return new FetchError(`HTTP ${status} (server error)`, "5xx", { status });
+  }
+  return new FetchError(`HTTP ${status} (not found or rejected)`, "4xx-notfound", { status });
+}
+
+// Everything that is not an HTTP status or a timeout is a connection-level failure (DNS, reset,
+// offline), which fetch reports as a TypeError.
+function classifyFetchError(error) {
+  return error instanceof FetchError ? error : new FetchError(String(error?.message || error), "network");
+}
+
+function getFetchRetryDelayMs(error, attempt) {
+  if (error.retryAfterMs > 0) {
+    return error.retryAfterMs;
+  }
+  const backoff = FETCH_RETRY_BACKOFF[error.code] || FETCH_RETRY_BACKOFF.network;
+  return Math.min(backoff.maxDelayMs, backoff.baseDelayMs * Math.pow(2, attempt));
+}
+
+// Aborts one request after timeoutMs without progress. extend() restarts the clock, so
+// bodies, which are read chunk by chunk, only time out when they stall.
+function createRequestTimeout(signal, timeoutMs) {
+  const controller = new AbortController();
+  let timeoutId = null;
+  let timedOut = false;
+  const extend = () => {
+    clearTimeout(timeoutId);
+    if (timeoutMs > 0) {
+      timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    }
+  };
+  extend();
+  return {
+    signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal,
+    extend,
+    clear: () => clearTimeout(timeoutId),
+    get timedOut() {
+      return timedOut;
+    }
+  };
+}
+
+// Reads a whole body like arrayBuffer(), restarting the request timeout on every chunk so a large
+// response on a slow link only times out when it stalls.
+async function readResponseBody(response, extendTimeout) {
+  if (!response.body) {
+    return new ArrayBuffer(0);
+  }
+  const reader = response.body.getReader();
+  const chunks = [];
+  let byteLength = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    extendTimeout();
+    chunks.push(value);
+    byteLength += value.byteLength;
+  }
+  const bytes = new Uint8Array(byteLength);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes.buffer;
+}
+
+// Retries per error class, from the job's fetch policy; each class counts its own attempts. Expired
+// links end in SourceExpiredError so the scheduler can refresh the source, every other class in a
+// FetchError carrying the class code. options.readBody(response, extendTimeout) replaces the
+// default whole-body read.
+async function fetchSegmentWithRetry(urlString, signal, options = {}) {
+  const headers = options.byteRange ? { Range: `bytes=${options.byteRange}` } : undefined;
+  const { retries, timeoutMs } = getJobFetchPolicy(signal);
+  const attempts = {};
   while (true) {
     throwIfAborted(signal);
+    const timeout = createRequestTimeout(signal, timeoutMs);
     try {
       const response = await fetch(urlString, {
         method: "GET",
         credentials: "include",
-        signal
+        headers,
+        signal: timeout.signal
       });
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
+        throw createHttpFetchError(response);
       }
-      return await response.arrayBuffer();
-    } catch (error) {
-      if (isCancelledError(error)) {
-        throw error;
+      return typeof options.readBody === "function"
+        ? await options.readBody(response, timeout.extend)
+        : await readResponseBody(response, timeout.extend);
+    } catch (caught) {
+      throwIfAborted(signal);
+      if (isCancelledError(caught) && !timeout.timedOut) {
+        throw caught;
       }
-      if (attempt >= retries) {
-        throw new Error(`Segment fetch failed for ${urlString}: ${error.message}`);
+      const error = timeout.timedOut
+        ? new FetchError(`no data for ${Math.round(timeoutMs / 1000)} s`, "timeout")
+        : classifyFetchError(caught);
+      const attempt = attempts[error.code] || 0;
+      if (attempt >= (retries[error.code] ?? 0)) {
+        if (error.code === "4xx-auth") {
+          throw new SourceExpiredError(`Segment link expired for ${urlString} (HTTP ${error.status})`, error.status);
+        }
+        throw new FetchError(`Segment fetch failed for ${urlString}: ${error.message}`, error.code, { status: error.status });
       }
-      const backoffMs = Math.min(3000, 250 * Math.pow(2, attempt));
-      attempt += 1;
-      await sleep(backoffMs, signal);
+      attempts[error.code] = attempt + 1;
+      await sleep(getFetchRetryDelayMs(error, attempt), signal);
+    } finally {
+      timeout.clear();
     }
   }
 }
 
-function getLastContentLine(lines) {
-  for (let i = lines.length - 1; i >= 0; i -= 1) {
-    if (!isCommentLine(lines[i])) {
-      return lines[i];
-    }
-  }
-  return null;
+const SEGMENT_STORE_DIRECTORY = "segment-store";
+const SEGMENT_STORE_MANIFEST = "manifest.json";
+
+async function hashString(value) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(String(value)));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0"))
+    .join("")
+    .slice(0, 32);
 }
 
-async function resolveSegmentUrlsFromPlaylistUrl(playlistUrl, signal) {
-  const mainText = await fetchText(playlistUrl, signal);
-  const mainLines = splitPlaylistLines(mainText);
-  const hasDirectSegmentLinks = mainLines.some((line) => !isCommentLine(line) && isLikelySegmentLine(line));
+function getSegmentPathForTrackId(segment) {
+  const urlString = typeof segment === "string" ? segment : segment?.url || "";
+  const range = typeof segment === "string" ? "" : segment?.byteRange || "";
+  try {
+    // Query strings and Vimeo's exp=~hmac= path component carry short-lived CDN tokens, so they
+    // are left out of the identity.
+    return `${new URL(urlString).pathname.replace(/\/exp=[^/]*~hmac=[^/]*/g, "")}#${range}`;
+  } catch {
+    return `${urlString}#${range}`;
+  }
+}
 
-  let mediaLines;
-  let mediaBaseUrl;
-  if (hasDirectSegmentLinks) {
-    mediaLines = mainLines;
-    mediaBaseUrl = playlistUrl;
-  } else {
-    const tail = getLastContentLine(mainLines);
-    if (!tail) {
-      throw new Error("Playlist does not contain a media playlist reference.");
-    }
+async function getJobSegmentDirectory(mediaKey, create) {
+  const root = await navigator.storage.getDirectory();
+  const storeDir = await root.getDirectoryHandle(SEGMENT_STORE_DIRECTORY, { create: true });
+  return storeDir.getDirectoryHandle(await hashString(mediaKey), { create });
+}
 
-    const secondPlaylistUrl = resolveUrl(tail, playlistUrl);
-    if (!secondPlaylistUrl || !isHttpUrl(secondPlaylistUrl)) {
-      throw new Error("Playlist tail is not a valid media playlist URL.");
+async function removeJobSegmentDirectory(mediaKey) {
+  const root = await navigator.storage.getDirectory();
+  const storeDir = await root.getDirectoryHandle(SEGMENT_STORE_DIRECTORY, { create: true });
+  try {
+    await storeDir.removeEntry(await hashString(mediaKey), { recursive: true });
+    return true;
+  } catch (error) {
+    if (error?.name === "NotFoundError") {
+      return false;
     }
-
-    const secondText = await fetchText(secondPlaylistUrl, signal);
-    mediaLines = splitPlaylistLines(secondText);
-    mediaBaseUrl = secondPlaylistUrl;
+    throw error;
   }
+}
+
+async function readJsonFile(dir, name) {
+  try {
+    const file = await (await dir.getFileHandle(name)).getFile();
+    return JSON.parse(await file.text());
+  } catch {
+    return null;
+  }
+}
+
+async function writeFileContents(dir, name, contents) {
+  const handle = await dir.getFileHandle(name, { create: true });
+  const writable = await handle.createWritable();
+  try {
+    await writable.write(contents);
+  } catch (error) {
+    await writable.abort().catch(() => {});
+    throw error;
+  }
+  // createWritable() writes to a swap file; the segment only becomes visible on close().
+  await writable.close();
+}
+
+// Persists a job's segments in OPFS under segment-store/<hash(mediaKey)>/ so a restarted or
+// resumed job only fetches what is missing. manifest.json records the job and its tracks.
+async function openJobSegmentStore(mediaKey, jobInfo) {
+  const dir = await getJobSegmentDirectory(mediaKey, true);
+  const previous = await readJsonFile(dir, SEGMENT_STORE_MANIFEST);
+  const manifest = {
+    mediaKey,
+    ...jobInfo,
+    createdAt: previous && previous.mediaKey === mediaKey ? previous.createdAt : Date.now(),
+    updatedAt: Date.now(),
+    tracks: previous && previous.mediaKey === mediaKey && isPlainObject(previous.tracks) ? previous.tracks : {}
+  };
+  await writeFileContents(dir, SEGMENT_STORE_MANIFEST, JSON.stringify(manifest));
+
+  const existingNames = new Set();
+  for await (const name of dir.keys()) {
+    existingNames.add(name);
+  }
+
+  return {
+    async openTrack(segments) {
+      const first = getSegmentPathForTrackId(segments[0]);
+      const last = getSegmentPathForTrackId(segments[segments.length - 1]);
+      const trackId = (await hashString(`${segments.length}|${first}|${last}`)).slice(0, 12);
+      const fileName = (index) => `${trackId}-${index}.seg`;
+      let reusedCount = 0;
+      for (let i = 0; i < segments.length; i += 1) {
+        if (existingNames.has(fileName(i))) {
+          reusedCount += 1;
+        }
+      }
+
+      manifest.tracks[trackId] = { segmentCount: segments.length, reusedCount };
+      manifest.updatedAt = Date.now();
+      await writeFileContents(dir, SEGMENT_STORE_MANIFEST, JSON.stringify(manifest));
+
+      let writable = true;
+      return {
+        reusedCount,
+        has: (index) => existingNames.has(fileName(index)),
+        async read(index) {
+          const file = await (await dir.getFileHandle(fileName(index))).getFile();
+          return file.arrayBuffer();
+        },
+        async discard(index) {
+          existingNames.delete(fileName(index));
+          await dir.removeEntry(fileName(index)).catch(() => {});
+        },
+        async write(index, buffer) {
+          if (!writable) {
+            return;
+          }
+          try {
+            await writeFileContents(dir, fileName(index), buffer);
+            existingNames.add(fileName(index));
+          } catch (error) {
+            // Quota or OPFS failures only cost resumability, not the download itself.
+            writable = false;
+            console.warn("Segment persistence disabled for this track", error);
+          }
+        }
+      };
+    },
+    remove: () => removeJobSegmentDirectory(mediaKey)
+  };
+}
+
+const JOB_OUTPUT_DIRECTORY = "job-output";
+// Finished outputs are deleted once Chrome reports the save as finished; the sweep only catches
+// leftovers whose release never arrived (e.g. the document was closed mid-save).
+const JOB_OUTPUT_RETENTION_MS = 6 * 60 * 60 * 1000;
+
+// Removes segment stores of media keys background holds no job record for (records deleted while
+// this document was closed, or dropped by age) apart from running jobs.
+async function sweepOrphanSegmentStores(jobMediaKeys) {
+  const keepNames = new Set(await Promise.all([...jobMediaKeys, ...activeDownloads.keys()].map(hashString)));
+  const root = await navigator.storage.getDirectory();
+  const storeDir = await root.getDirectoryHandle(SEGMENT_STORE_DIRECTORY, { create: true });
+  const orphanNames = [];
+  for await (const name of storeDir.keys()) {
+    if (!keepNames.has(name)) {
+      orphanNames.push(name);
+    }
+  }
+  for (const name of orphanNames) {
+    await storeDir.removeEntry(name, { recursive: true }).catch(() => {});
+  }
+}
+
+async function getJobOutputRoot() {
+  const root = await navigator.storage.getDirectory();
+  return root.getDirectoryHandle(JOB_OUTPUT_DIRECTORY, { create: true });
+}
+
+async function sweepStaleJobOutputs(keepNames) {
+  const outputRoot = await getJobOutputRoot();
+  const now = Date.now();
+  for await (const name of outputRoot.keys()) {
+    const createdAt = Number(name.split("-").pop());
+    if (keepNames.has(name) || (Number.isFinite(createdAt) && now - createdAt < JOB_OUTPUT_RETENTION_MS)) {
+      continue;
+    }
+    await outputRoot.removeEntry(name, { recursive: true }).catch(() => {});
+  }
+}
+
+// Every job assembles its tracks and final output as files in OPFS under
+// job-output/<hash(mediaKey)>-<startedAt>/ instead of in memory.
+async function createJobWorkspace(mediaKey, segmentStore) {
+  const outputRoot = await getJobOutputRoot();
+  const dirName = `${await hashString(mediaKey)}-${Date.now()}`;
+  const dir = await outputRoot.getDirectoryHandle(dirName, { create: true });
+  let fileCounter = 0;
+
+  return {
+    dirName,
+    segmentStore,
+    // { metadata, cover, applied } once the job has tags to write into its MP4/M4A/MP3 output.
+    tags: null,
+    // The job's createJobProgress tracker.
+    progress: null,
+    // Integrity findings that did not fail the job; passed on with the browser download.
+    warnings: [],
+    async createFile(extension) {
+      fileCounter += 1;
+      const handle = await dir.getFileHandle(`part-${fileCounter}.${extension || "bin"}`, { create: true });
+      const writable = await handle.createWritable();
+      return {
+        append: (data) => writable.write(data),
+        async close() {
+          await writable.close();
+          return handle.getFile();
+        },
+        abort: () => writable.abort().catch(() => {})
+      };
+    },
+    async remove() {
+      await outputRoot.removeEntry(dirName, { recursive: true });
+    }
+  };
+}
+
+function getJobWorkspace(signal) {
+  const workspace = signal ? jobWorkspaces.get(signal) : null;
+  if (!workspace) {
+    throw new Error("No job workspace for this download.");
+  }
+  return workspace;
+}
+
+async function writeBuffersToJobFile(signal, buffers, extension) {
+  const output = await getJobWorkspace(signal).createFile(extension);
+  try {
+    for (const buffer of buffers) {
+      throwIfAborted(signal);
+      await output.append(buffer);
+    }
+  } catch (error) {
+    await output.abort();
+    throw error;
+  }
+  return output.close();
+}
+
+// Streams a single large resource (e.g. a progressive MP4) into a job file; a retry starts a fresh file.
+async function downloadUrlToFile(urlString, signal, extension) {
+  const workspace = getJobWorkspace(signal);
+  let output = null;
+  try {
+    await fetchSegmentWithRetry(urlString, signal, {
+      readBody: async (response, extendTimeout) => {
+        if (output) {
+          await output.abort();
+        }
+        output = await workspace.createFile(extension);
+        const sink = output;
+        const progress = workspace.progress;
+        progress?.beginTrack("file", 0, Number(response.headers.get("content-length")) || 0);
+        await response.body.pipeTo(
+          new WritableStream({
+            write: async (chunk) => {
+              extendTimeout();
+              await sink.append(chunk);
+              progress?.addBytes(chunk.byteLength);
+              await progress?.report();
+            }
+          }),
+          { signal }
+        );
+      }
+    });
+  } catch (error) {
+    if (output) {
+      await output.abort();
+    }
+    throw error;
+  }
+  return output.close();
+}
+
+async function fetchSegment(segment, signal) {
+  if (typeof segment === "string") {
+    return fetchSegmentWithRetry(segment, signal);
+  }
+  const buffer = await fetchSegmentWithRetry(segment.url, signal, { byteRange: segment.byteRange });
+  return segment.encryption ? decryptHlsSegment(buffer, segment.encryption, signal) : buffer;
+}
+
+function readUint32(bytes, offset) {
+  return bytes[offset] * 0x1000000 + ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]);
+}
+
+// Lists the boxes in bytes[start, end). Returns { boxes: [{ type, body, end }], problem }, where
+// problem describes the first box that is cut off or has an unreadable header.
+function parseMp4Boxes(bytes, start, end) {
+  const boxes = [];
+  let offset = start;
+  while (offset < end) {
+    if (end - offset < 8) {
+      return { boxes, problem: `truncated MP4 box header at byte ${offset}` };
+    }
+    const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+    let size = readUint32(bytes, offset);
+    let headerSize = 8;
+    if (size === 1 && end - offset >= 16) {
+      size = readUint32(bytes, offset + 8) * 0x100000000 + readUint32(bytes, offset + 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (!/^[\x20-\x7e]{4}$/.test(type) || size < headerSize) {
+      return { boxes, problem: `corrupt MP4 box header at byte ${offset}` };
+    }
+    if (offset + size > end) {
+      return { boxes, problem: `MP4 box '${type}' at byte ${offset} is cut off (${offset + size - end} bytes missing)` };
+    }
+    boxes.push({ type, body: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+  return { boxes, problem: "" };
+}
+
+function childMp4Boxes(bytes, box, type) {
+  return box ? parseMp4Boxes(bytes, box.body, box.end).boxes.filter((child) => child.type === type) : [];
+}
+
+function firstChildMp4Box(bytes, box, type) {
+  return childMp4Boxes(bytes, box, type)[0] || null;
+}
+
+// Collects what is needed to turn fMP4 fragments into seconds: per-track timescales and trex default
+// durations (init segment) and per-track sample ticks (moof/traf). Tracks may live in different
+// segments, so the numbers are only combined in resolveMp4TimingSeconds.
+function readMp4Timing(bytes, boxes) {
+  const timing = { timescales: new Map(), defaultDurations: new Map(), ticks: new Map(), untimedSamples: new Map() };
+  const add = (map, trackId, value) => map.set(trackId, (map.get(trackId) || 0) + value);
+
+  for (const moov of boxes.filter((box) => box.type === "moov")) {
+    for (const trak of childMp4Boxes(bytes, moov, "trak")) {
+      const tkhd = firstChildMp4Box(bytes, trak, "tkhd");
+      const mdhd = firstChildMp4Box(bytes, firstChildMp4Box(bytes, trak, "mdia"), "mdhd");
+      if (tkhd && mdhd) {
+        const trackId = readUint32(bytes, tkhd.body + (bytes[tkhd.body] === 1 ? 20 : 12));
+        timing.timescales.set(trackId, readUint32(bytes, mdhd.body + (bytes[mdhd.body] === 1 ? 20 : 12)));
+      }
+    }
+    for (const trex of childMp4Boxes(bytes, firstChildMp4Box(bytes, moov, "mvex"), "trex")) {
+      timing.defaultDurations.set(readUint32(bytes, trex.body + 4), readUint32(bytes, trex.body + 12));
+    }
+  }
+
+  for (const moof of boxes.filter((box) => box.type === "moof")) {
+    for (const traf of childMp4Boxes(bytes, moof, "traf")) {
+      const tfhd = firstChildMp4Box(bytes, traf, "tfhd");
+      if (!tfhd) {
+        continue;
+      }
+      const tfhdFlags = readUint32(bytes, tfhd.body) & 0xffffff;
+      const trackId = readUint32(bytes, tfhd.body + 4);
+      const defaultDurationOffset = tfhd.body + 8 + (tfhdFlags & 0x1 ? 8 : 0) + (tfhdFlags & 0x2 ? 4 : 0);
+      const defaultDuration = tfhdFlags & 0x8 ? readUint32(bytes, defaultDurationOffset) : 0;
+
+      for (const trun of childMp4Boxes(bytes, traf, "trun")) {
+        const trunFlags = readUint32(bytes, trun.body) & 0xffffff;
+        const sampleCount = readUint32(bytes, trun.body + 4);
+        const firstSample = trun.body + 8 + (trunFlags & 0x1 ? 4 : 0) + (trunFlags & 0x4 ? 4 : 0);
+        // Per-sample fields: duration, size, flags, composition offset; duration comes first when present.
+        const stride = 4 * [0x100, 0x200, 0x400, 0x800].filter((flag) => trunFlags & flag).length;
+        if (trunFlags & 0x100 && firstSample + sampleCount * stride <= trun.end) {
+          let ticks = 0;
+          for (let i = 0; i < sampleCount; i += 1) {
+            ticks += readUint32(bytes, firstSample + i * stride);
+          }
+          add(timing.ticks, trackId, ticks);
+        } else if (defaultDuration > 0) {
+          add(timing.ticks, trackId, sampleCount * defaultDuration);
+        } else {
+          add(timing.untimedSamples, trackId, sampleCount);
+        }
+      }
+    }
+  }
+  return timing;
+}
+
+// Seconds covered by one segment's fragments, using the longest track. NaN when a track's
+// timescale (or default sample duration) is unknown.
+function resolveMp4TimingSeconds(timing, timescales, defaultDurations) {
+  let seconds = NaN;
+  const trackIds = new Set([...timing.ticks.keys(), ...timing.untimedSamples.keys()]);
+  for (const trackId of trackIds) {
+    const timescale = timescales.get(trackId);
+    const untimed = timing.untimedSamples.get(trackId) || 0;
+    const defaultDuration = defaultDurations.get(trackId) || 0;
+    if (!timescale || (untimed > 0 && !defaultDuration)) {
+      return NaN;
+    }
+    const trackSeconds = ((timing.ticks.get(trackId) || 0) + untimed * defaultDuration) / timescale;
+    seconds = Number.isNaN(seconds) ? trackSeconds : Math.max(seconds, trackSeconds);
+  }
+  return seconds;
+}
+
+function readPesTimestamp(bytes, offset) {
+  return (
+    ((bytes[offset] >> 1) & 0x07) * 0x40000000 +
+    (bytes[offset + 1] << 22) +
+    ((bytes[offset + 2] >> 1) << 15) +
+    (bytes[offset + 3] << 7) +
+    (bytes[offset + 4] >> 1)
+  );
+}
+
+// Checks MPEG-TS sync bytes and per-PID continuity counters inside one segment. Counters are not
+// compared across segments: packagers legitimately restart them at segment and discontinuity
+// boundaries. Returns { problem, seconds }, seconds being the PTS span of the first PES stream
+// extended by one PES interval (NaN with fewer than two timestamps).
+function inspectTsSegment(bytes) {
+  if (bytes.length % TS_PACKET_SIZE !== 0) {
+    return { problem: `truncated MPEG-TS data (${bytes.length} bytes is not a multiple of ${TS_PACKET_SIZE})`, seconds: NaN };
+  }
+
+  const counters = new Map();
+  let timedPid = -1;
+  let minPts = Infinity;
+  let maxPts = -Infinity;
+  let ptsCount = 0;
+  for (let offset = 0; offset < bytes.length; offset += TS_PACKET_SIZE) {
+    const packet = offset / TS_PACKET_SIZE;
+    if (bytes[offset] !== 0x47) {
+      return { problem: `lost MPEG-TS sync at packet ${packet}`, seconds: NaN };
+    }
+    const pid = ((bytes[offset + 1] & 0x1f) << 8) | bytes[offset + 2];
+    const adaptation = (bytes[offset + 3] >> 4) & 0x3;
+    const counter = bytes[offset + 3] & 0x0f;
+    if (pid === 0x1fff || !(adaptation & 0x1)) {
+      continue;
+    }
+
+    const adaptationLength = adaptation & 0x2 ? bytes[offset + 4] + 1 : 0;
+    const discontinuity = adaptationLength > 1 && (bytes[offset + 5] & 0x80) !== 0;
+    const previous = counters.get(pid);
+    // A repeated counter is an allowed duplicate packet; anything else but +1 means lost packets.
+    if (previous !== undefined && !discontinuity && counter !== previous && counter !== ((previous + 1) & 0x0f)) {
+      return { problem: `continuity counter jump on PID ${pid} at packet ${packet} (${previous} -> ${counter})`, seconds: NaN };
+    }
+    counters.set(pid, counter);
+
+    const payload = offset + 4 + adaptationLength;
+    const startsPes =
+      (bytes[offset + 1] & 0x40) !== 0 &&
+      payload + 14 <= offset + TS_PACKET_SIZE &&
+      bytes[payload] === 0 &&
+      bytes[payload + 1] === 0 &&
+      bytes[payload + 2] === 1;
+    if (startsPes && (bytes[payload + 7] & 0x80) && (timedPid === -1 || timedPid === pid)) {
+      timedPid = pid;
+      const pts = readPesTimestamp(bytes, payload + 9);
+      minPts = Math.min(minPts, pts);
+      maxPts = Math.max(maxPts, pts);
+      ptsCount += 1;
+    }
+  }
+
+  // A span over half the 33-bit PTS range means the clock wrapped inside the segment.
+  const span = maxPts - minPts;
+  const seconds = ptsCount > 1 && span < 0x100000000 ? ((span / 90000) * ptsCount) / (ptsCount - 1) : NaN;
+  return { problem: "", seconds };
+}
+
+function looksLikeTextResponse(bytes) {
+  let offset = bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf ? 3 : 0;
+  while (offset < bytes.length && offset < 64 && /\s/.test(String.fromCharCode(bytes[offset]))) {
+    offset += 1;
+  }
+  return bytes[offset] === 0x3c || bytes[offset] === 0x7b;
+}
+
+// Validates segments as they arrive and measures how long each one plays. MPEG-TS and fMP4 data is
+// checked structurally; other formats (ADTS audio, WebM) are only checked for being empty or an
+// HTML/JSON error page. expectedDurations (parallel to the segments, from EXTINF or the manifest)
+// flags segments that play for much less than announced; expectedTotal (or the sum of
+// expectedDurations) is compared against the measured total once everything was fetched.
+function createSegmentIntegrityCheck(segmentCount, options = {}) {
+  const expectedDurations = Array.isArray(options.expectedDurations) ? options.expectedDurations : [];
+  const measured = new Map();
+  const timescales = new Map();
+  const defaultDurations = new Map();
+
+  return {
+    // Returns a problem description, or "" when the segment looks intact.
+    inspect(index, buffer) {
+      const bytes = new Uint8Array(buffer);
+      if (bytes.length === 0) {
+        return "empty response";
+      }
+      if (looksLikeTextResponse(bytes)) {
+        return "received a text/HTML response instead of media data";
+      }
+
+      if (bytes[0] === 0x47) {
+        const { problem, seconds } = inspectTsSegment(bytes);
+        if (!problem && index >= 0) {
+          measured.set(index, seconds);
+        }
+        return problem;
+      }
+
+      const firstType = bytes.length >= 8 ? String.fromCharCode(bytes[4], bytes[5], bytes[6], bytes[7]) : "";
+      if (!MP4_TOP_LEVEL_BOXES.has(firstType)) {
+        return "";
+      }
+      const { boxes, problem } = parseMp4Boxes(bytes, 0, bytes.length);
+      if (problem) {
+        return problem;
+      }
+      const timing = readMp4Timing(bytes, boxes);
+      timing.timescales.forEach((value, trackId) => timescales.set(trackId, value));
+      timing.defaultDurations.forEach((value, trackId) => defaultDurations.set(trackId, value));
+      if (index >= 0) {
+        measured.set(index, timing);
+      }
+      return "";
+    },
+
+    // Adds segments that were cut short to badSegments and throws a SegmentIntegrityError when
+    // anything failed. A measured total that is off only returns a warning: with every segment
+    // intact there is nothing to re-fetch, and a wrong manifest duration must not cost the file.
+    finish(badSegments) {
+      const bad = [...badSegments];
+      let total = 0;
+      let totalKnown = measured.size === segmentCount;
+      for (const [index, value] of measured) {
+        // fMP4 init segments (EXT-X-MAP) carry no samples and add nothing to the total.
+        if (typeof value === "object" && value.ticks.size === 0 && value.untimedSamples.size === 0) {
+          continue;
+        }
+        const seconds = typeof value === "number" ? value : resolveMp4TimingSeconds(value, timescales, defaultDurations);
+        const expected = Number(expectedDurations[index]);
+        if (Number.isFinite(seconds) && expected >= 1 && seconds < expected * MIN_SEGMENT_DURATION_RATIO) {
+          bad.push({ index, problem: `plays ${seconds.toFixed(2)}s of the announced ${expected.toFixed(2)}s` });
+        }
+        if (Number.isFinite(seconds)) {
+          total += seconds;
+        } else {
+          totalKnown = false;
+        }
+      }
+      bad.sort((a, b) => a.index - b.index);
+
+      if (bad.length > 0) {
+        const details = bad.map((entry) => `#${entry.index + 1} ${entry.problem}`).join("; ");
+        throw new SegmentIntegrityError(
+          `${bad.length} of ${segmentCount} segments failed integrity checks: ${details}`,
+          bad
+        );
+      }
+
+      const announcedTotal = expectedDurations.reduce((sum, value) => sum + (Number(value) > 0 ? Number(value) : 0), 0);
+      const expectedTotal = Number(options.expectedTotal) > 0 ? Number(options.expectedTotal) : announcedTotal;
+      const tolerance = Math.max(DURATION_TOLERANCE_SECONDS, expectedTotal * DURATION_TOLERANCE_RATIO);
+      if (totalKnown && total > 0 && expectedTotal > 0 && Math.abs(total - expectedTotal) > tolerance) {
+        return `Merged duration ${total.toFixed(1)}s does not match the expected ${expectedTotal.toFixed(1)}s.`;
+      }
+      return "";
+    }
+  };
+}
+
+// Fetches segments with a small worker pool and hands them to options.onSegment(index, buffer)
+// strictly in playlist order. Workers stay at most a few segments ahead of the writer, so memory
+// use is bounded by the pool size rather than the video length. The first segment that exhausts
+// its retries (or fails to write) aborts the other workers and fails the batch.
+// With options.track (see openJobSegmentStore) persisted segments are read back instead of fetched.
+// options.onProgress(completed, total, byteCount, fromStore) runs after every segment.
+// options.validate(index, buffer) may return a problem description: such segments are fetched
+// again (content-invalid retries); if they still fail they are neither persisted nor handed to
+// onSegment, the batch carries on, and they are returned as [{ index, problem }] so the caller can
+// fail the job while keeping the good segments for a re-fetch.
+// options.refreshSegments() is called (once for all workers) when a segment link has expired; it
+// resolves to a fresh list of the same length and the expired segment is fetched again from it.
+async function fetchSegmentsInOrder(segments, signal, options = {}) {
+  throwIfAborted(signal);
+  const total = segments.length;
+  const fetchPolicy = getJobFetchPolicy(signal);
+  const concurrency = Math.max(1, Math.min(total, Math.floor(options.concurrency || fetchPolicy.concurrency) || 1));
+  const maxAhead = concurrency * 2;
+  const track = options.track || null;
+  const batchController = new AbortController();
+  // Segment fetches run under the batch signal; it shares the job workspace (fetch policy, stores).
+  const workspace = signal ? jobWorkspaces.get(signal) : null;
+  if (workspace) {
+    jobWorkspaces.set(batchController.signal, workspace);
+  }
+  const abortBatch = () => batchController.abort();
+  if (signal) {
+    signal.addEventListener("abort", abortBatch, { once: true });
+  }
+
+  const ready = new Map();
+  let cursorWaiters = [];
+  let writeCursor = 0;
+  let writing = Promise.resolve();
+  let nextIndex = 0;
+  let completed = 0;
+  let firstError = null;
+  const badSegments = [];
+
+  const wakeWaiters = () => {
+    const waiters = cursorWaiters;
+    cursorWaiters = [];
+    waiters.forEach((resolve) => resolve());
+  };
+  batchController.signal.addEventListener("abort", wakeWaiters, { once: true });
+
+  const fail = (error) => {
+    if (!firstError && !isCancelledError(error)) {
+      firstError = error;
+    }
+    batchController.abort();
+  };
+
+  let currentSegments = segments;
+  let refreshing = null;
+  const refreshSegments = () => {
+    if (!refreshing) {
+      refreshing = options
+        .refreshSegments()
+        .then((fresh) => {
+          currentSegments = fresh;
+        })
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  };
+
+  const fetchCurrentSegment = async (index) => {
+    while (true) {
+      const segment = currentSegments[index];
+      try {
+        return await fetchSegment(segment, batchController.signal);
+      } catch (error) {
+        if (!(error instanceof SourceExpiredError) || typeof options.refreshSegments !== "function") {
+          throw error;
+        }
+        // Another worker may already have swapped in fresh URLs while this fetch was failing.
+        if (currentSegments[index] === segment) {
+          await untilAborted(refreshSegments(), batchController.signal);
+        }
+      }
+    }
+  };
+
+  const flushReady = () => {
+    writing = writing.then(async () => {
+      while (ready.has(writeCursor) && !batchController.signal.aborted) {
+        const buffer = ready.get(writeCursor);
+        ready.delete(writeCursor);
+        if (buffer !== null) {
+          await options.onSegment(writeCursor, buffer);
+        }
+        writeCursor += 1;
+        wakeWaiters();
+      }
+    });
+    return writing.catch(fail);
+  };
+
+  const validateSegment = (index, buffer) => (typeof options.validate === "function" ? options.validate(index, buffer) : "");
+
+  // A segment failing validation is fetched again per the content-invalid retry policy; when it
+  // keeps failing, the last problem is returned with it.
+  const fetchValidSegment = async (index) => {
+    for (let attempt = 0; ; attempt += 1) {
+      const buffer = await fetchCurrentSegment(index);
+      const problem = validateSegment(index, buffer);
+      if (!problem || attempt >= fetchPolicy.retries["content-invalid"]) {
+        return { buffer, problem };
+      }
+      await sleep(getFetchRetryDelayMs({ code: "content-invalid" }, attempt), batchController.signal);
+    }
+  };
+
+  const worker = async () => {
+    while (nextIndex < total && !batchController.signal.aborted) {
+      if (nextIndex - writeCursor >= maxAhead) {
+        await new Promise((resolve) => cursorWaiters.push(resolve));
+        continue;
+      }
+
+      const index = nextIndex;
+      nextIndex += 1;
+      let stored = false;
+      let byteCount = 0;
+      try {
+        let buffer = null;
+        let problem = "";
+        stored = Boolean(track && track.has(index));
+        if (stored) {
+          buffer = await track.read(index);
+          problem = validateSegment(index, buffer);
+          if (problem) {
+            await track.discard(index);
+            stored = false;
+          }
+        }
+        if (!stored) {
+          ({ buffer, problem } = await fetchValidSegment(index));
+        }
+        if (problem) {
+          badSegments.push({ index, problem });
+          buffer = null;
+        } else if (track && !stored) {
+          await track.write(index, buffer);
+        }
+        ready.set(index, buffer);
+        byteCount = buffer ? buffer.byteLength : 0;
+      } catch (error) {
+        fail(error);
+        return;
+      }
+      completed += 1;
+      if (typeof options.onProgress === "function") {
+        await options.onProgress(completed, total, byteCount, stored);
+      }
+      await flushReady();
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    await writing.catch(fail);
+  } finally {
+    if (signal) {
+      signal.removeEventListener("abort", abortBatch);
+    }
+    ready.clear();
+  }
+
+  throwIfAborted(signal);
+  if (firstError) {
+    throw firstError;
+  }
+  if (batchController.signal.aborted || writeCursor < total) {
+    throw new CancelledError("Download cancelled by user.");
+  }
+  return badSegments;
+}
+
+function getLastContentLine(lines) {
+  for (let i = lines.length - 1; i >= 0; i -= 1) {
+    if (!isCommentLine(lines[i])) {
+      return lines[i];
+    }
+  }
+  return null;
+}
+
+function parseHlsAttributeList(text) {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/gi;
+  let match;
+  while ((match = pattern.exec(text))) {
+    attributes[match[1].toUpperCase()] = match[2].replace(/^"|"$/g, "");
+  }
+  return attributes;
+}
+
+function parseHexIv(value) {
+  const hex = String(value || "").replace(/^0x/i, "");
+  if (!/^[0-9a-f]{1,32}$/i.test(hex)) {
+    throw new Error(`Invalid HLS key IV: ${value}`);
+  }
+  const padded = hex.padStart(32, "0");
+  const iv = new Uint8Array(16);
+  for (let i = 0; i < 16; i += 1) {
+    iv[i] = parseInt(padded.slice(i * 2, i * 2 + 2), 16);
+  }
+  return iv;
+}
+
+function buildSequenceIv(mediaSequence) {
+  // RFC 8216 5.2: without an IV attribute the media sequence number is the IV (big-endian, 128-bit).
+  const iv = new Uint8Array(16);
+  let value = BigInt(mediaSequence);
+  for (let i = 15; i >= 0 && value > 0n; i -= 1) {
+    iv[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return iv;
+}
+
+// Returns null for METHOD=NONE, or { method, keyUrl, iv, keyCache } for AES-128. Anything the
+// browser cannot decrypt (SAMPLE-AES, DRM key formats) fails the job instead of saving ciphertext.
+function parseHlsKeyTag(line, baseUrl, keyCache) {
+  const attributes = parseHlsAttributeList(line.slice(line.indexOf(":") + 1));
+  const method = String(attributes.METHOD || "NONE").toUpperCase();
+  if (method === "NONE") {
+    return null;
+  }
+  if (method !== "AES-128") {
+    throw new Error(`Unsupported HLS encryption METHOD=${method}. Only AES-128 playlists can be downloaded.`);
+  }
+  if (attributes.KEYFORMAT && attributes.KEYFORMAT.toLowerCase() !== "identity") {
+    throw new Error(`Unsupported HLS KEYFORMAT="${attributes.KEYFORMAT}" (DRM-protected stream).`);
+  }
+
+  const keyUrl = resolveUrl(attributes.URI || "", baseUrl);
+  if (!keyUrl || !/^(https?|data):/i.test(keyUrl)) {
+    throw new Error("HLS #EXT-X-KEY has no usable URI.");
+  }
+  return {
+    method,
+    keyUrl,
+    iv: attributes.IV ? parseHexIv(attributes.IV) : null,
+    keyCache
+  };
+}
+
+function buildHlsSegment(segmentUrl, key, mediaSequence) {
+  if (!key) {
+    return segmentUrl;
+  }
+  return {
+    url: segmentUrl,
+    encryption: {
+      keyUrl: key.keyUrl,
+      iv: key.iv || buildSequenceIv(mediaSequence),
+      keyCache: key.keyCache
+    }
+  };
+}
+
+function loadHlsDecryptionKey(encryption, signal) {
+  let keyPromise = encryption.keyCache.get(encryption.keyUrl);
+  if (!keyPromise) {
+    keyPromise = (async () => {
+      const rawKey = await fetchSegmentWithRetry(encryption.keyUrl, signal);
+      if (rawKey.byteLength !== 16) {
+        throw new Error(`HLS AES-128 key must be 16 bytes, got ${rawKey.byteLength} from ${safeUrlForLog(encryption.keyUrl)}.`);
+      }
+      return crypto.subtle.importKey("raw", rawKey, { name: "AES-CBC" }, false, ["decrypt"]);
+    })();
+    // A failed or cancelled key fetch must not poison later attempts.
+    keyPromise.catch(() => encryption.keyCache.delete(encryption.keyUrl));
+    encryption.keyCache.set(encryption.keyUrl, keyPromise);
+  }
+  return keyPromise;
+}
+
+async function decryptHlsSegment(buffer, encryption, signal) {
+  const key = await loadHlsDecryptionKey(encryption, signal);
+  try {
+    return await crypto.subtle.decrypt({ name: "AES-CBC", iv: encryption.iv }, key, buffer);
+  } catch {
+    throw new Error("AES-128 segment decryption failed (wrong key or IV).");
+  }
+}
+
+function parseHlsResolution(value) {
+  const match = String(value || "").match(/^(\d+)x(\d+)$/i);
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : { width: 0, height: 0 };
+}
+
+// Parses #EXT-X-STREAM-INF variants and #EXT-X-MEDIA renditions of a master playlist.
+function parseHlsMasterPlaylist(lines, baseUrl) {
+  const variants = [];
+  const renditions = [];
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    if (/^#EXT-X-MEDIA:/i.test(line)) {
+      const attributes = parseHlsAttributeList(line.slice(line.indexOf(":") + 1));
+      renditions.push({
+        type: String(attributes.TYPE || "").toUpperCase(),
+        groupId: attributes["GROUP-ID"] || "",
+        name: attributes.NAME || "",
+        language: attributes.LANGUAGE || "",
+        isDefault: String(attributes.DEFAULT || "").toUpperCase() === "YES",
+        url: attributes.URI ? resolveUrl(attributes.URI, baseUrl) : ""
+      });
+      continue;
+    }
+
+    if (!/^#EXT-X-STREAM-INF:/i.test(line)) {
+      continue;
+    }
+    const attributes = parseHlsAttributeList(line.slice(line.indexOf(":") + 1));
+    let uriLine = "";
+    for (let j = i + 1; j < lines.length; j += 1) {
+      if (!isCommentLine(lines[j])) {
+        uriLine = lines[j];
+        i = j;
+        break;
+      }
+    }
+    const url = resolveUrl(uriLine, baseUrl);
+    if (!url || !isHttpUrl(url)) {
+      continue;
+    }
+    variants.push({
+      url,
+      bandwidth: Number(attributes["AVERAGE-BANDWIDTH"] || attributes.BANDWIDTH) || 0,
+      ...parseHlsResolution(attributes.RESOLUTION),
+      codecs: attributes.CODECS || "",
+      audioGroup: attributes.AUDIO || "",
+      subtitlesGroup: attributes.SUBTITLES || ""
+    });
+  }
+  return { variants, renditions };
+}
+
+function describeHlsVariant(variant) {
+  const size = variant.height ? `${variant.width}x${variant.height}` : "?x?";
+  const groups = [variant.audioGroup ? `audio=${variant.audioGroup}` : "", variant.subtitlesGroup ? `subs=${variant.subtitlesGroup}` : ""]
+    .filter(Boolean)
+    .join(" ");
+  return `${size} ${Math.round(variant.bandwidth / 1000)}kbps ${variant.codecs || "codecs=?"}${groups ? ` ${groups}` : ""}`;
+}
+
+function isAvcVariant(variant) {
+  return /\bavc[13]\./i.test(variant.codecs);
+}
+
+function compareVariantsByQuality(a, b) {
+  return b.height - a.height || b.bandwidth - a.bandwidth;
+}
+
+// preference: { mode: "highest" | "height" | "bitrate" | "avc", targetHeight, maxBitrateKbps }
+function selectHlsVariant(variants, preference = {}) {
+  const sorted = [...variants].sort(compareVariantsByQuality);
+  const mode = preference.mode || "highest";
+
+  if (mode === "height" && preference.targetHeight > 0) {
+    const fitting = sorted.filter((variant) => variant.height > 0 && variant.height <= preference.targetHeight);
+    return { variant: fitting[0] || sorted[sorted.length - 1], fallback: fitting.length === 0 };
+  }
+
+  if (mode === "bitrate" && preference.maxBitrateKbps > 0) {
+    const cap = preference.maxBitrateKbps * 1000;
+    const fitting = sorted.filter((variant) => variant.bandwidth > 0 && variant.bandwidth <= cap);
+    const lowest = [...sorted].sort((a, b) => a.bandwidth - b.bandwidth)[0];
+    return { variant: fitting[0] || lowest, fallback: fitting.length === 0 };
+  }
+
+  if (mode === "avc") {
+    const avc = sorted.filter(isAvcVariant);
+    return { variant: avc[0] || sorted[0], fallback: avc.length === 0 };
+  }
+
+  return { variant: sorted[0], fallback: false };
+}
+
+function pickAudioRendition(renditions, groupId) {
+  const candidates = renditions.filter((rendition) => rendition.type === "AUDIO" && rendition.groupId === groupId);
+  const withUri = candidates.filter((rendition) => rendition.url && isHttpUrl(rendition.url));
+  return withUri.find((rendition) => rendition.isDefault) || withUri[0] || null;
+}
+
+// Resolves a captured playlist to media segments. Master playlists are parsed and a variant is
+// picked by options.variantPreference; a variant whose AUDIO group points at a separate rendition
+// also yields audioSegments. Returns { segments, segmentDurations, audioSegments,
+// audioSegmentDurations, variant, audioRendition, renditions }; durations are the EXTINF values.
+async function resolveHlsPlaylist(playlistUrl, signal, options = {}) {
+  const debug = typeof options.debug === "function" ? options.debug : () => {};
+  const mainText = await fetchText(playlistUrl, signal);
+  const mainLines = splitPlaylistLines(mainText);
+  const hasDirectSegmentLinks =
+    mainLines.some((line) => /^#EXTINF:/i.test(line)) ||
+    mainLines.some((line) => !isCommentLine(line) && isLikelySegmentLine(line));
+
+  if (hasDirectSegmentLinks) {
+    const media = parseHlsMediaPlaylist(mainLines, playlistUrl, signal);
+    return {
+      segments: media.segments,
+      segmentDurations: media.durations,
+      audioSegments: null,
+      audioSegmentDurations: null,
+      variant: null,
+      audioRendition: null,
+      renditions: []
+    };
+  }
+
+  const master = parseHlsMasterPlaylist(mainLines, playlistUrl);
+  let mediaPlaylistUrl;
+  let variant = null;
+  if (master.variants.length > 0) {
+    const selection = selectHlsVariant(master.variants, options.variantPreference);
+    variant = selection.variant;
+    debug(`Master playlist variants: ${master.variants.map(describeHlsVariant).join(" | ")}`);
+    debug(
+      `Chose variant ${describeHlsVariant(variant)} (preference=${options.variantPreference?.mode || "highest"}${
+        selection.fallback ? ", no variant matched the preference" : ""
+      })`
+    );
+    mediaPlaylistUrl = variant.url;
+  } else {
+    // Non-standard master playlists (no #EXT-X-STREAM-INF) list the media playlist last.
+    const tail = getLastContentLine(mainLines);
+    if (!tail) {
+      throw new Error("Playlist does not contain a media playlist reference.");
+    }
+    mediaPlaylistUrl = resolveUrl(tail, playlistUrl);
+    if (!mediaPlaylistUrl || !isHttpUrl(mediaPlaylistUrl)) {
+      throw new Error("Playlist tail is not a valid media playlist URL.");
+    }
+  }
+
+  const mediaText = await fetchText(mediaPlaylistUrl, signal);
+  const media = parseHlsMediaPlaylist(splitPlaylistLines(mediaText), mediaPlaylistUrl, signal);
+
+  const audioRendition = variant && variant.audioGroup ? pickAudioRendition(master.renditions, variant.audioGroup) : null;
+  let audio = null;
+  if (audioRendition) {
+    debug(`Using separate audio rendition "${audioRendition.name}" (${audioRendition.language || "und"}) from group ${variant.audioGroup}`);
+    const audioText = await fetchText(audioRendition.url, signal);
+    audio = parseHlsMediaPlaylist(splitPlaylistLines(audioText), audioRendition.url, signal);
+  }
+
+  return {
+    segments: media.segments,
+    segmentDurations: media.durations,
+    audioSegments: audio ? audio.segments : null,
+    audioSegmentDurations: audio ? audio.durations : null,
+    variant,
+    audioRendition,
+    renditions: master.renditions
+  };
+}
 
+// Returns { segments, durations }: segment URLs in playlist order (AES-128 segments are
+// { url, encryption } descriptors that fetchSegment decrypts) and the matching EXTINF durations,
+// null for the EXT-X-MAP init segment.
+function parseHlsMediaPlaylist(mediaLines, mediaBaseUrl, signal) {
   const segmentUrls = [];
-  let initMapUrl = "";
+  const durations = [];
+  let pendingDuration = null;
+  let initMapSegment = null;
+  let mediaSequence = 0;
+  let currentKey = null;
+  const keyCache = new Map();
   for (const line of mediaLines) {
     throwIfAborted(signal);
     if (isCommentLine(line)) {
+      const sequenceMatch = line.match(/^#EXT-X-MEDIA-SEQUENCE:\s*(\d+)/i);
+      if (sequenceMatch) {
+        mediaSequence = Number(sequenceMatch[1]);
+        continue;
+      }
+
+      if (/^#EXT-X-KEY:/i.test(line)) {
+        currentKey = parseHlsKeyTag(line, mediaBaseUrl, keyCache);
+        continue;
+      }
+
+      const durationMatch = line.match(/^#EXTINF:\s*([\d.]+)/i);
+      if (durationMatch) {
+        pendingDuration = Number(durationMatch[1]);
+        continue;
+      }
+
       const mapMatch = line.match(/^#EXT-X-MAP:.*URI="([^"]+)"/i);
       if (mapMatch && mapMatch[1]) {
         const resolvedMapUrl = resolveUrl(mapMatch[1], mediaBaseUrl);
         if (resolvedMapUrl && isHttpUrl(resolvedMapUrl)) {
-          initMapUrl = resolvedMapUrl;
+          initMapSegment = buildHlsSegment(resolvedMapUrl, currentKey, mediaSequence);
         }
       }
       continue;
@@ -572,18 +2182,22 @@ async function resolveSegmentUrlsFromPlaylistUrl(playlistUrl, signal) {
     if (!segmentUrl || !isHttpUrl(segmentUrl)) {
       continue;
     }
-    segmentUrls.push(segmentUrl);
+    segmentUrls.push(buildHlsSegment(segmentUrl, currentKey, mediaSequence));
+    durations.push(pendingDuration);
+    pendingDuration = null;
+    mediaSequence += 1;
   }
 
-  if (initMapUrl) {
-    segmentUrls.unshift(initMapUrl);
+  if (initMapSegment) {
+    segmentUrls.unshift(initMapSegment);
+    durations.unshift(null);
   }
 
   if (segmentUrls.length === 0) {
     throw new Error("No segment URLs were found in playlist.");
   }
 
-  return segmentUrls;
+  return { segments: segmentUrls, durations };
 }
 
 function decodeBase64ToArrayBuffer(base64Value) {
@@ -640,6 +2254,18 @@ function sortTracksByQuality(tracks) {
   return tracks;
 }
 
+// Tracks must be sorted best first. With a preferred height, picks the best track that is not
+// taller, or the smallest track when every one is taller.
+function pickTrackForHeight(sortedTracks, preferredHeight) {
+  if (!(preferredHeight > 0)) {
+    return sortedTracks[0];
+  }
+  return (
+    sortedTracks.find((track) => getTrackNumericValue(track, ["height", "max_height"]) <= preferredHeight) ||
+    sortedTracks[sortedTracks.length - 1]
+  );
+}
+
 function trackLikelyHasEmbeddedAudio(track) {
   if (!track || typeof track !== "object") {
     return false;
@@ -662,11 +2288,11 @@ function trackLikelyHasEmbeddedAudio(track) {
   return false;
 }
 
-function pickBestVimeoTrackSelection(manifest) {
+function pickBestVimeoTrackSelection(manifest, preferredHeight = 0) {
   const muxedTracks = sortTracksByQuality((Array.isArray(manifest?.muxed) ? manifest.muxed : []).filter(hasUsableTrackSource));
   if (muxedTracks.length > 0) {
     return {
-      track: muxedTracks[0],
+      track: pickTrackForHeight(muxedTracks, preferredHeight),
       family: "muxed"
     };
   }
@@ -676,7 +2302,7 @@ function pickBestVimeoTrackSelection(manifest) {
   );
   if (audioVideoTracks.length > 0) {
     return {
-      track: audioVideoTracks[0],
+      track: pickTrackForHeight(audioVideoTracks, preferredHeight),
       family: "audio_video"
     };
   }
@@ -686,7 +2312,7 @@ function pickBestVimeoTrackSelection(manifest) {
     const embeddedAudioTracks = videoTracks.filter(trackLikelyHasEmbeddedAudio);
     if (embeddedAudioTracks.length > 0) {
       return {
-        track: embeddedAudioTracks[0],
+        track: pickTrackForHeight(embeddedAudioTracks, preferredHeight),
         family: "video_embedded_audio"
       };
     }
@@ -702,6 +2328,12 @@ function pickBestVimeoTrackSelection(manifest) {
   return null;
 }
 
+// Vimeo playlist.json segments carry their start/end time in seconds.
+function getVimeoSegmentDuration(segment) {
+  const duration = Number(segment?.end) - Number(segment?.start);
+  return Number.isFinite(duration) && duration > 0 ? duration : null;
+}
+
 function getSegmentUrlPart(segment) {
   if (typeof segment === "string") {
     return segment;
@@ -769,86 +2401,68 @@ function buildVimeoHlsTsFallbackUrl(playlistJsonUrl) {
   return parsed.toString();
 }
 
-async function resolveVimeoChunksFromPlaylistJson(playlistUrl, signal, progressCallback) {
-  const playlistText = await fetchText(playlistUrl, signal);
-
-  let manifest;
-  try {
-    manifest = JSON.parse(playlistText);
-  } catch {
-    throw new Error("Vimeo playlist response is not valid JSON.");
-  }
+async function resolveVimeoFileFromPlaylistJson(playlistUrl, signal, progressCallback, options = {}) {
+  const manifest = await fetchVimeoPlaylistJson(playlistUrl, signal);
 
-  const selection = pickBestVimeoTrackSelection(manifest);
+  const selection = pickBestVimeoTrackSelection(manifest, options.preferredHeight);
   if (!selection) {
     throw new Error("Vimeo playlist JSON does not expose a downloadable track.");
   }
   const bestTrack = selection.track;
 
   const manifestBase = resolveUrl(manifest.base_url || "", playlistUrl) || playlistUrl;
-  const trackBase = resolveUrl(bestTrack.base_url || "", manifestBase) || manifestBase;
-  const baseCandidates = [trackBase, manifestBase, playlistUrl];
-
-  const chunks = [];
+  const prefixBuffers = [];
   if (typeof bestTrack.init_segment === "string" && bestTrack.init_segment.length > 0) {
-    chunks.push(decodeBase64ToArrayBuffer(bestTrack.init_segment));
-  }
-
-  const segmentUrls = [];
-  if (Array.isArray(bestTrack.segments)) {
-    for (const segment of bestTrack.segments) {
-      throwIfAborted(signal);
-      const part = getSegmentUrlPart(segment);
-      if (!part) {
-        continue;
-      }
-      const resolved = resolveWithFallback(part, baseCandidates);
-      if (resolved) {
-        segmentUrls.push(resolved);
-      }
-    }
-  }
-
-  if (segmentUrls.length === 0 && typeof bestTrack.url === "string") {
-    const directTrackUrl = resolveWithFallback(bestTrack.url, baseCandidates);
-    if (directTrackUrl) {
-      segmentUrls.push(directTrackUrl);
-    }
+    prefixBuffers.push(decodeBase64ToArrayBuffer(bestTrack.init_segment));
   }
 
+  const { segmentUrls, segmentDurations } = buildVimeoTrackSegments(bestTrack, manifestBase, playlistUrl, signal);
   if (segmentUrls.length === 0) {
     throw new Error("Vimeo playlist track has no usable segment URLs.");
   }
 
-  for (let i = 0; i < segmentUrls.length; i += 1) {
-    throwIfAborted(signal);
-    if (typeof progressCallback === "function") {
-      await progressCallback(`Downloading segments ${i + 1}/${segmentUrls.length}...`);
+  const mimeType = typeof bestTrack.mime_type === "string" && bestTrack.mime_type ? bestTrack.mime_type : "video/mp4";
+  const file = await downloadSegmentsToFile(
+    segmentUrls,
+    signal,
+    async (index, total) => {
+      if (typeof progressCallback === "function") {
+        await progressCallback(`Downloading segments ${index}/${total}...`);
+      }
+    },
+    {
+      prefixBuffers,
+      extension: getMimeExtension(mimeType),
+      segmentDurations,
+      expectedDuration: bestTrack.duration || manifest.duration,
+      resolveSegments: refreshVimeoTrackSegments(bestTrack, signal)
     }
-    const buffer = await fetchSegmentWithRetry(segmentUrls[i], MAX_SEGMENT_RETRIES, signal);
-    chunks.push(buffer);
-  }
+  );
 
-  const mimeType = typeof bestTrack.mime_type === "string" && bestTrack.mime_type ? bestTrack.mime_type : "video/mp4";
   return {
-    chunks,
+    file,
     segmentCount: segmentUrls.length,
     mimeType,
     fileExtension: getMimeExtension(mimeType)
   };
 }
 
-async function resolveVimeoViaHlsTsFallback(playlistJsonUrl, signal, progressCallback) {
+async function resolveVimeoViaHlsTsFallback(playlistJsonUrl, signal, progressCallback, options = {}) {
   const hlsTsUrl = buildVimeoHlsTsFallbackUrl(playlistJsonUrl);
   if (!hlsTsUrl) {
     throw new Error("Could not derive Vimeo HLS TS fallback URL.");
   }
 
-  const segmentUrls = await resolveSegmentUrlsFromPlaylistUrl(hlsTsUrl, signal);
-  const chunks = await downloadSegmentBuffers(segmentUrls, signal, progressCallback);
+  const { segments: segmentUrls, segmentDurations } = await resolveHlsPlaylist(hlsTsUrl, signal, options);
   const inferred = inferMimeAndExtensionFromSegmentUrls(segmentUrls, "video/mp2t", "ts");
+  const file = await downloadSegmentsToFile(segmentUrls, signal, progressCallback, {
+    extension: inferred.fileExtension,
+    segmentDurations,
+    resolveSegments: async (freshPlaylistJsonUrl) =>
+      (await resolveHlsPlaylist(buildVimeoHlsTsFallbackUrl(freshPlaylistJsonUrl), signal, options)).segments
+  });
   return {
-    chunks,
+    file,
     segmentCount: segmentUrls.length,
     mimeType: inferred.mimeType,
     fileExtension: inferred.fileExtension
@@ -864,7 +2478,8 @@ function normalizeVimeoEmbeddedSources(value) {
     playerPageUrl: typeof value.playerPageUrl === "string" ? value.playerPageUrl : "",
     progressive: null,
     hlsUrl: typeof value.hlsUrl === "string" ? value.hlsUrl : "",
-    dashUrl: typeof value.dashUrl === "string" ? value.dashUrl : ""
+    dashUrl: typeof value.dashUrl === "string" ? value.dashUrl : "",
+    textTracks: normalizeSubtitleTracks(value.textTracks)
   };
 
   if (value.progressive && typeof value.progressive === "object" && typeof value.progressive.url === "string") {
@@ -1051,15 +2666,14 @@ function resolveVimeoManifestUrlFromPlayerConfig(config, options = {}) {
   return "";
 }
 
-function pickBestVimeoProgressiveFile(config) {
+function pickBestVimeoProgressiveFile(config, preferredHeight = 0) {
   const progressive = config?.request?.files?.progressive;
   const list = Array.isArray(progressive) ? progressive.filter((entry) => typeof entry?.url === "string" && entry.url) : [];
   if (list.length === 0) {
     return null;
   }
 
-  const sorted = sortTracksByQuality([...list]);
-  const best = sorted[0];
+  const best = pickTrackForHeight(sortTracksByQuality([...list]), preferredHeight);
   return {
     url: best.url,
     mimeType: typeof best.mime === "string" && best.mime ? best.mime : "video/mp4",
@@ -1068,65 +2682,743 @@ function pickBestVimeoProgressiveFile(config) {
 }
 
 function inferMimeAndExtensionFromSegmentUrls(segmentUrls, fallbackMimeType, fallbackExtension) {
-  const lowerUrls = segmentUrls.map((url) => url.toLowerCase());
+  const lowerUrls = segmentUrls.map((segment) => (typeof segment === "string" ? segment : segment.url).toLowerCase());
   if (lowerUrls.some((url) => /\.(m4s|mp4)(\?|$)/.test(url))) {
     return { mimeType: "video/mp4", fileExtension: "mp4" };
   }
-  if (lowerUrls.some((url) => /\.(ts|bin)(\?|$)/.test(url))) {
-    return { mimeType: "video/mp2t", fileExtension: "ts" };
+  if (lowerUrls.some((url) => /\.(ts|bin)(\?|$)/.test(url))) {
+    return { mimeType: "video/mp2t", fileExtension: "ts" };
+  }
+  return {
+    mimeType: fallbackMimeType,
+    fileExtension: fallbackExtension
+  };
+}
+
+// Builds the fetchSegmentsInOrder refresh hook for one track. The track remembers which source URL
+// generation it was resolved from: when another track already refreshed the source, the newer URL
+// is reused instead of asking for yet another one. The fresh list must line up index for index.
+function createSegmentRefresher(sourceRefresher, segmentCount, resolveSegments) {
+  if (!sourceRefresher || typeof resolveSegments !== "function") {
+    return null;
+  }
+  let generation = sourceRefresher.generation;
+  return async () => {
+    const sourceUrl = await sourceRefresher.refresh(generation);
+    generation = sourceRefresher.generation;
+    let fresh;
+    try {
+      fresh = await resolveSegments(sourceUrl);
+    } catch (error) {
+      if (isCancelledError(error)) {
+        throw error;
+      }
+      throw new SourceExpiredError(`Segment links expired and the refreshed source could not be read: ${error.message}`);
+    }
+    if (!Array.isArray(fresh) || fresh.length !== segmentCount) {
+      throw new SourceExpiredError(
+        `Segment links expired and the refreshed source no longer matches this download (${fresh?.length || 0} segments instead of ${segmentCount}).`
+      );
+    }
+    return fresh;
+  };
+}
+
+// Segments are URL strings or { url, byteRange } descriptors (DASH SegmentList/mediaRange).
+// They are streamed, in order, into a new file of the job workspace; prefixBuffers (e.g. an
+// fMP4 init segment) are written first. Every segment is validated on the way (see
+// createSegmentIntegrityCheck, fed by options.segmentDurations/expectedDuration) and the file is
+// only returned when all of them passed. options.label ("video" or "audio") names the track in the
+// job progress. options.resolveSegments(sourceUrl) rebuilds this track's segment list from a fresh
+// source URL, so expired signed links are refreshed mid-download (see createSourceRefresher).
+// Returns the OPFS File.
+async function downloadSegmentsToFile(segments, signal, progressMessageFactory, options = {}) {
+  const workspace = getJobWorkspace(signal);
+  const segmentStore = workspace.segmentStore;
+  let track = null;
+  if (segmentStore && segments.length > 0) {
+    try {
+      track = await segmentStore.openTrack(segments);
+    } catch (error) {
+      console.warn("Failed to open persisted segment track", error);
+    }
+  }
+
+  const integrity = createSegmentIntegrityCheck(segments.length, {
+    expectedDurations: options.segmentDurations,
+    expectedTotal: options.expectedDuration
+  });
+  const output = await workspace.createFile(options.extension);
+  try {
+    for (const buffer of options.prefixBuffers || []) {
+      const problem = integrity.inspect(-1, buffer);
+      if (problem) {
+        throw new Error(`Init segment is invalid: ${problem}`);
+      }
+      await output.append(buffer);
+    }
+    const progress = workspace.progress;
+    progress?.beginTrack(options.label || "video", segments.length);
+    const badSegments = await fetchSegmentsInOrder(segments, signal, {
+      track,
+      onProgress: async (done, total, byteCount, fromStore) => {
+        progress?.addBytes(byteCount, 1, !fromStore);
+        await progressMessageFactory(done, total);
+      },
+      validate: (index, buffer) => integrity.inspect(index, buffer),
+      onSegment: (_index, buffer) => output.append(buffer),
+      refreshSegments: createSegmentRefresher(workspace.sourceRefresher, segments.length, options.resolveSegments)
+    });
+    const warning = integrity.finish(badSegments);
+    if (warning) {
+      workspace.warnings.push(`${options.label || "video"} track: ${warning}`);
+    }
+  } catch (error) {
+    await output.abort();
+    throw error;
+  }
+  return output.close();
+}
+
+function isDashManifestUrl(urlString) {
+  try {
+    return new URL(urlString).pathname.toLowerCase().endsWith(".mpd");
+  } catch {
+    return false;
+  }
+}
+
+function parseIsoDurationSeconds(value) {
+  const match = String(value || "")
+    .trim()
+    .match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  if (!match) {
+    return NaN;
+  }
+  const [, days, hours, minutes, seconds] = match.map((part) => Number(part) || 0);
+  return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+function childElements(parent, localName) {
+  return Array.from(parent?.children || []).filter((el) => el.localName === localName);
+}
+
+function firstChildElement(parent, localName) {
+  return childElements(parent, localName)[0] || null;
+}
+
+function resolveDashBaseUrl(element, baseUrl) {
+  const baseUrlEl = firstChildElement(element, "BaseURL");
+  const text = baseUrlEl ? (baseUrlEl.textContent || "").trim() : "";
+  return text ? resolveUrl(text, baseUrl) || baseUrl : baseUrl;
+}
+
+function expandDashTemplate(template, values) {
+  return String(template || "").replace(/\$(RepresentationID|Number|Time|Bandwidth)(?:%0(\d+)d)?\$|\$\$/g, (token, name, width) => {
+    if (!name) {
+      return "$";
+    }
+    const value = values[name];
+    if (value === undefined || value === null) {
+      return token;
+    }
+    const text = String(value);
+    return width ? text.padStart(Number(width), "0") : text;
+  });
+}
+
+function buildDashSegmentDescriptor(urlString, byteRange) {
+  return byteRange ? { url: urlString, byteRange } : { url: urlString };
+}
+
+// SegmentTemplate attributes are inherited Period -> AdaptationSet -> Representation, innermost wins.
+function readMergedSegmentTemplate(elementChain) {
+  const templates = elementChain.map((el) => firstChildElement(el, "SegmentTemplate")).filter(Boolean);
+  if (templates.length === 0) {
+    return null;
+  }
+
+  const attributes = {};
+  let timeline = null;
+  for (const template of templates) {
+    for (const attribute of Array.from(template.attributes)) {
+      attributes[attribute.name] = attribute.value;
+    }
+    timeline = firstChildElement(template, "SegmentTimeline") || timeline;
+  }
+  return { attributes, timeline };
+}
+
+function expandSegmentTimeline(timeline, periodEndTicks) {
+  const entries = childElements(timeline, "S");
+  const result = [];
+  let currentTime = 0;
+  entries.forEach((entry, index) => {
+    const duration = Number(entry.getAttribute("d"));
+    if (!Number.isFinite(duration) || duration <= 0) {
+      return;
+    }
+    if (entry.hasAttribute("t")) {
+      currentTime = Number(entry.getAttribute("t")) || 0;
+    }
+
+    let repeat = Number(entry.getAttribute("r") || 0);
+    if (repeat < 0) {
+      // r="-1" repeats until the next S@t or the end of the period.
+      const next = entries[index + 1];
+      const endTime = next && next.hasAttribute("t") ? Number(next.getAttribute("t")) : periodEndTicks;
+      repeat = Number.isFinite(endTime) ? Math.max(0, Math.ceil((endTime - currentTime) / duration) - 1) : 0;
+    }
+
+    for (let i = 0; i <= repeat; i += 1) {
+      result.push({ time: currentTime, duration });
+      currentTime += duration;
+    }
+  });
+  return result;
+}
+
+function buildSegmentsFromTemplate(template, representationValues, baseUrl, periodDurationSeconds) {
+  const attributes = template.attributes;
+  const timescale = Number(attributes.timescale) || 1;
+  const startNumber = Number.isFinite(Number(attributes.startNumber)) ? Number(attributes.startNumber) : 1;
+  const presentationTimeOffset = Number(attributes.presentationTimeOffset) || 0;
+  const resolveTemplateUrl = (pattern, values) => resolveUrl(expandDashTemplate(pattern, values), baseUrl);
+
+  const init = attributes.initialization ? resolveTemplateUrl(attributes.initialization, representationValues) : null;
+  if (!attributes.media) {
+    throw new Error("DASH SegmentTemplate has no media attribute.");
+  }
+
+  const segments = [];
+  if (template.timeline) {
+    const periodEndTicks = Number.isFinite(periodDurationSeconds)
+      ? presentationTimeOffset + periodDurationSeconds * timescale
+      : NaN;
+    expandSegmentTimeline(template.timeline, periodEndTicks).forEach((entry, index) => {
+      segments.push(
+        buildDashSegmentDescriptor(
+          resolveTemplateUrl(attributes.media, { ...representationValues, Number: startNumber + index, Time: entry.time })
+        )
+      );
+    });
+  } else {
+    const segmentDuration = Number(attributes.duration);
+    if (!Number.isFinite(segmentDuration) || segmentDuration <= 0 || !Number.isFinite(periodDurationSeconds)) {
+      throw new Error("DASH SegmentTemplate without SegmentTimeline needs both @duration and a known period duration.");
+    }
+    const count = Math.ceil((periodDurationSeconds * timescale) / segmentDuration);
+    for (let i = 0; i < count; i += 1) {
+      segments.push(
+        buildDashSegmentDescriptor(
+          resolveTemplateUrl(attributes.media, {
+            ...representationValues,
+            Number: startNumber + i,
+            Time: presentationTimeOffset + i * segmentDuration
+          })
+        )
+      );
+    }
+  }
+
+  return {
+    init: init ? buildDashSegmentDescriptor(init) : null,
+    segments
+  };
+}
+
+function buildSegmentsFromSegmentList(segmentList, baseUrl) {
+  const initEl = firstChildElement(segmentList, "Initialization");
+  const initUrl = initEl ? resolveUrl(initEl.getAttribute("sourceURL") || "", baseUrl) : null;
+  const segments = childElements(segmentList, "SegmentURL").map((entry) => {
+    const mediaUrl = resolveUrl(entry.getAttribute("media") || "", baseUrl) || baseUrl;
+    return buildDashSegmentDescriptor(mediaUrl, entry.getAttribute("mediaRange") || "");
+  });
+
+  return {
+    init: initEl && initUrl ? buildDashSegmentDescriptor(initUrl, initEl.getAttribute("range") || "") : null,
+    segments
+  };
+}
+
+function buildDashRepresentationSegments(elementChain, baseUrl, periodDurationSeconds) {
+  const representation = elementChain[elementChain.length - 1];
+  const template = readMergedSegmentTemplate(elementChain);
+  if (template) {
+    return buildSegmentsFromTemplate(
+      template,
+      {
+        RepresentationID: representation.getAttribute("id") || "",
+        Bandwidth: representation.getAttribute("bandwidth") || ""
+      },
+      baseUrl,
+      periodDurationSeconds
+    );
+  }
+
+  const segmentList = elementChain.map((el) => firstChildElement(el, "SegmentList")).filter(Boolean).pop();
+  if (segmentList) {
+    return buildSegmentsFromSegmentList(segmentList, baseUrl);
+  }
+
+  // SegmentBase or a bare BaseURL: the representation is one self-contained file (init + sidx + media).
+  return {
+    init: null,
+    segments: [buildDashSegmentDescriptor(baseUrl)]
+  };
+}
+
+function getDashContentKind(adaptationSet, representation) {
+  const values = [
+    adaptationSet.getAttribute("contentType"),
+    adaptationSet.getAttribute("mimeType"),
+    representation.getAttribute("mimeType")
+  ].map((value) => String(value || "").toLowerCase());
+  if (values.some((value) => value.startsWith("video"))) {
+    return "video";
+  }
+  if (values.some((value) => value.startsWith("audio"))) {
+    return "audio";
+  }
+  return "";
+}
+
+function parseMpdManifest(xmlText, mpdUrl) {
+  const doc = new DOMParser().parseFromString(String(xmlText || ""), "application/xml");
+  const mpd = doc.documentElement;
+  if (!mpd || mpd.localName !== "MPD" || doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("DASH manifest is not valid MPD XML.");
+  }
+  if ((mpd.getAttribute("type") || "static") === "dynamic") {
+    throw new Error("Live (dynamic) DASH manifests are not supported.");
+  }
+
+  // Periods (ad breaks, chapters) may switch codecs and init segments, so their segment lists
+  // cannot simply be joined into one track.
+  const periods = childElements(mpd, "Period");
+  if (periods.length === 0) {
+    throw new Error("DASH manifest has no Period.");
+  }
+  if (periods.length > 1) {
+    throw new Error(`Multi-period DASH manifests are not supported (${periods.length} periods).`);
+  }
+  const period = periods[0];
+
+  const presentationDuration = parseIsoDurationSeconds(mpd.getAttribute("mediaPresentationDuration"));
+  const periodStart = parseIsoDurationSeconds(period.getAttribute("start")) || 0;
+  const periodDuration = Number.isFinite(parseIsoDurationSeconds(period.getAttribute("duration")))
+    ? parseIsoDurationSeconds(period.getAttribute("duration"))
+    : presentationDuration - periodStart;
+
+  const mpdBase = resolveDashBaseUrl(mpd, mpdUrl);
+  const periodBase = resolveDashBaseUrl(period, mpdBase);
+  const representations = [];
+  for (const adaptationSet of childElements(period, "AdaptationSet")) {
+    const adaptationBase = resolveDashBaseUrl(adaptationSet, periodBase);
+    for (const representation of childElements(adaptationSet, "Representation")) {
+      const kind = getDashContentKind(adaptationSet, representation);
+      if (!kind) {
+        continue;
+      }
+
+      const representationBase = resolveDashBaseUrl(representation, adaptationBase);
+      const { init, segments } = buildDashRepresentationSegments(
+        [period, adaptationSet, representation],
+        representationBase,
+        periodDuration
+      );
+      representations.push({
+        kind,
+        id: representation.getAttribute("id") || "",
+        bandwidth: Number(representation.getAttribute("bandwidth")) || -1,
+        height: Number(representation.getAttribute("height") || adaptationSet.getAttribute("height")) || -1,
+        codecs: representation.getAttribute("codecs") || adaptationSet.getAttribute("codecs") || "",
+        mimeType: representation.getAttribute("mimeType") || adaptationSet.getAttribute("mimeType") || "",
+        segments: init ? [init, ...segments] : segments
+      });
+    }
+  }
+
+  return {
+    durationSeconds: Number.isFinite(periodDuration) ? periodDuration : NaN,
+    representations
+  };
+}
+
+// resolveSegments hook (see downloadSegmentsToFile) for a DASH representation of a re-signed MPD.
+function refreshDashRepresentationSegments(representation, signal) {
+  return async (mpdUrl) => {
+    const manifest = parseMpdManifest(await fetchText(mpdUrl, signal), mpdUrl);
+    const fresh = manifest.representations.find((entry) => entry.kind === representation.kind && entry.id === representation.id);
+    if (!fresh) {
+      throw new Error(`representation ${representation.id} is missing from the refreshed manifest`);
+    }
+    return fresh.segments;
+  };
+}
+
+function pickBestDashRepresentations(manifest, preferredHeight = 0) {
+  const video =
+    pickTrackForHeight(sortTracksByQuality(manifest.representations.filter((entry) => entry.kind === "video")), preferredHeight) ||
+    null;
+  const audio =
+    manifest.representations
+      .filter((entry) => entry.kind === "audio")
+      .sort((a, b) => b.bandwidth - a.bandwidth)[0] || null;
+  return { video, audio };
+}
+
+async function resolveDashTracksFromMpdUrl(mpdUrl, signal, progressCallback, options = {}) {
+  const mpdText = await fetchText(mpdUrl, signal);
+  const manifest = parseMpdManifest(mpdText, mpdUrl);
+  const { video, audio } = pickBestDashRepresentations(manifest, options.preferredHeight);
+  if (!video) {
+    throw new Error("DASH manifest does not provide a video representation.");
+  }
+
+  const videoFile = await downloadSegmentsToFile(
+    video.segments,
+    signal,
+    async (index, total) => {
+      await progressCallback(`Downloading DASH video segments ${index}/${total}...`);
+    },
+    {
+      extension: "mp4",
+      expectedDuration: manifest.durationSeconds,
+      resolveSegments: refreshDashRepresentationSegments(video, signal)
+    }
+  );
+  const audioFile = audio
+    ? await downloadSegmentsToFile(
+        audio.segments,
+        signal,
+        async (index, total) => {
+          await progressCallback(`Downloading DASH audio segments ${index}/${total}...`);
+        },
+        {
+          extension: "m4a",
+          expectedDuration: manifest.durationSeconds,
+          label: "audio",
+          resolveSegments: refreshDashRepresentationSegments(audio, signal)
+        }
+      )
+    : null;
+
+  return {
+    video,
+    audio,
+    videoFile,
+    audioFile,
+    videoSegmentCount: video.segments.length,
+    audioSegmentCount: audio ? audio.segments.length : 0
+  };
+}
+
+async function downloadDashAsMp4(mpdUrl, outputFilename, signal, progressCallback, debugLog, options = {}) {
+  const tracks = await resolveDashTracksFromMpdUrl(mpdUrl, signal, progressCallback, options);
+  debugLog(
+    `DASH representations: video=${tracks.video.id} (${tracks.video.height}p, ${tracks.video.bandwidth}bps, segments=${
+      tracks.videoSegmentCount
+    }), audio=${tracks.audio ? `${tracks.audio.id} (${tracks.audio.bandwidth}bps, segments=${tracks.audioSegmentCount})` : "none"}`
+  );
+  if (!tracks.audioFile) {
+    return tracks.videoFile;
+  }
+
+  await progressCallback("Muxing DASH audio+video with embedded ffmpeg...");
+  return runEmbeddedFfmpegMuxFromFiles(tracks.videoFile, tracks.audioFile, outputFilename, signal, debugLog);
+}
+
+async function resolveVimeoManifestUrlFromPlayerPage(playerPageUrl, signal, options = {}) {
+  const htmlText = await fetchText(playerPageUrl, signal);
+  const playerConfig = parseVimeoPlayerConfigFromHtml(htmlText);
+  const skipProgressive = options && options.skipProgressive === true;
+  const progressive = skipProgressive ? null : pickBestVimeoProgressiveFile(playerConfig, options.preferredHeight);
+  const textTracks = collectVimeoTextTracks(playerConfig, playerPageUrl);
+  if (progressive) {
+    return {
+      progressive,
+      manifestUrl: "",
+      textTracks
+    };
+  }
+
+  const manifestUrl = resolveVimeoManifestUrlFromPlayerConfig(playerConfig, options);
+  if (!manifestUrl) {
+    throw new Error("Vimeo player config does not expose progressive or DASH/HLS sources.");
+  }
+
+  const resolved = resolveUrl(manifestUrl, playerPageUrl);
+  if (!resolved || !isHttpUrl(resolved)) {
+    throw new Error("Vimeo manifest URL from player config is invalid.");
+  }
+  return {
+    progressive: null,
+    manifestUrl: resolved,
+    textTracks
+  };
+}
+
+// Subtitle tracks are { url, language, label, format }; format "hls" marks a subtitle media
+// playlist of WebVTT segments, "vtt" a single WebVTT file.
+function normalizeSubtitleTracks(value) {
+  return (Array.isArray(value) ? value : [])
+    .filter((track) => isPlainObject(track) && typeof track.url === "string" && isHttpUrl(track.url))
+    .map((track) => ({
+      url: track.url,
+      language: typeof track.language === "string" ? track.language : "",
+      label: typeof track.label === "string" ? track.label : "",
+      format: track.format === "hls" ? "hls" : "vtt"
+    }));
+}
+
+function collectVimeoTextTracks(config, baseUrl) {
+  const textTracks = config?.request?.text_tracks;
+  return normalizeSubtitleTracks(
+    (Array.isArray(textTracks) ? textTracks : []).map((track) => ({
+      url: typeof track?.url === "string" ? resolveUrl(track.url, baseUrl) : "",
+      language: track?.lang,
+      label: track?.label,
+      format: "vtt"
+    }))
+  );
+}
+
+async function resolveVimeoTextTracksFromPlayerPage(playerPageUrl, signal) {
+  const htmlText = await fetchText(playerPageUrl, signal);
+  return collectVimeoTextTracks(parseVimeoPlayerConfigFromHtml(htmlText), playerPageUrl);
+}
+
+function listHlsSubtitleTracks(renditions, groupId) {
+  return normalizeSubtitleTracks(
+    renditions
+      .filter((rendition) => rendition.type === "SUBTITLES" && (!groupId || rendition.groupId === groupId))
+      .map((rendition) => ({
+        url: rendition.url,
+        language: rendition.language,
+        label: rendition.name,
+        format: "hls"
+      }))
+  );
+}
+
+function isWebVttText(text) {
+  return /^\uFEFF?WEBVTT/.test(text);
+}
+
+// HLS subtitle segments each repeat the WEBVTT header (and an X-TIMESTAMP-MAP); only cue blocks
+// after the header are kept from every segment.
+function mergeWebVttSegments(texts) {
+  const cueBlocks = [];
+  for (const text of texts) {
+    const blocks = String(text).replace(/\r\n?/g, "\n").split(/\n{2,}/);
+    cueBlocks.push(...blocks.slice(1).map((block) => block.trim()).filter(Boolean));
+  }
+  return `WEBVTT\n\n${cueBlocks.join("\n\n")}\n`;
+}
+
+async function fetchSubtitleVtt(track, signal) {
+  if (track.format !== "hls") {
+    const text = await fetchText(track.url, signal);
+    if (!isWebVttText(text)) {
+      throw new Error("Subtitle track is not WebVTT.");
+    }
+    return text;
+  }
+
+  const playlistLines = splitPlaylistLines(await fetchText(track.url, signal));
+  const segmentUrls = playlistLines
+    .filter((line) => !isCommentLine(line))
+    .map((line) => resolveUrl(line, track.url))
+    .filter((url) => url && isHttpUrl(url));
+  const texts = [];
+  for (const segmentUrl of segmentUrls) {
+    texts.push(await fetchText(segmentUrl, signal));
+  }
+  if (texts.length === 0 || !texts.every(isWebVttText)) {
+    throw new Error("Subtitle playlist does not contain WebVTT segments.");
   }
-  return {
-    mimeType: fallbackMimeType,
-    fileExtension: fallbackExtension
-  };
+  return mergeWebVttSegments(texts);
 }
 
-async function downloadSegmentBuffers(segmentUrls, signal, progressMessageFactory) {
-  const chunks = [];
-  for (let i = 0; i < segmentUrls.length; i += 1) {
-    throwIfAborted(signal);
-    if (typeof progressMessageFactory === "function") {
-      await progressMessageFactory(i + 1, segmentUrls.length);
+function formatSrtTimestamp(vttTimestamp) {
+  const parts = vttTimestamp.split(":");
+  const withHours = parts.length === 2 ? ["00", ...parts] : parts;
+  return withHours.map((part, index) => (index === 0 ? part.padStart(2, "0") : part)).join(":").replace(".", ",");
+}
+
+function convertWebVttToSrt(vttText) {
+  const blocks = String(vttText).replace(/\r\n?/g, "\n").split(/\n{2,}/);
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    const timingIndex = lines.findIndex((line) => line.includes("-->"));
+    if (timingIndex === -1) {
+      continue;
     }
-    const buffer = await fetchSegmentWithRetry(segmentUrls[i], MAX_SEGMENT_RETRIES, signal);
-    chunks.push(buffer);
+    const timing = lines[timingIndex].match(/([\d:.]+)\s+-->\s+([\d:.]+)/);
+    if (!timing) {
+      continue;
+    }
+    // SRT understands only <b>, <i> and <u>; voice and class spans are dropped.
+    const text = lines
+      .slice(timingIndex + 1)
+      .join("\n")
+      .replace(/<(?!\/?[biu]>)[^>]*>/g, "");
+    cues.push(`${cues.length + 1}\n${formatSrtTimestamp(timing[1])} --> ${formatSrtTimestamp(timing[2])}\n${text}`);
   }
-  return chunks;
+  return `${cues.join("\n\n")}\n`;
 }
 
-async function resolveVimeoManifestUrlFromPlayerPage(playerPageUrl, signal, options = {}) {
-  const htmlText = await fetchText(playerPageUrl, signal);
-  const playerConfig = parseVimeoPlayerConfigFromHtml(htmlText);
-  const skipProgressive = options && options.skipProgressive === true;
-  const progressive = skipProgressive ? null : pickBestVimeoProgressiveFile(playerConfig);
-  if (progressive) {
-    return {
-      progressive,
-      manifestUrl: ""
-    };
+// Downloads every track as WebVTT; a track that fails is logged and skipped.
+async function fetchSubtitleTracks(tracks, signal, debugLog) {
+  const fetched = [];
+  const seenUrls = new Set();
+  for (const track of tracks) {
+    if (seenUrls.has(track.url)) {
+      continue;
+    }
+    seenUrls.add(track.url);
+    try {
+      fetched.push({ ...track, text: await fetchSubtitleVtt(track, signal) });
+      debugLog(`Fetched subtitle track ${track.language || "und"} (${track.label || track.format})`);
+    } catch (error) {
+      if (isCancelledError(error)) {
+        throw error;
+      }
+      debugLog(`Skipping subtitle track ${safeUrlForLog(track.url)}: ${String(error?.message || error)}`);
+    }
   }
+  return fetched;
+}
 
-  const manifestUrl = resolveVimeoManifestUrlFromPlayerConfig(playerConfig, options);
-  if (!manifestUrl) {
-    throw new Error("Vimeo player config does not expose progressive or DASH/HLS sources.");
-  }
+// "<video name>.<language>.<ext>", with a counter when two tracks share a language.
+function buildSubtitleFilenames(videoFilename, subtitles, extension) {
+  const base = videoFilename.replace(/\.[^.]+$/, "");
+  const used = new Set();
+  return subtitles.map((subtitle, index) => {
+    const tag = sanitizeFilePart(subtitle.language).replace(/\s+/g, "_") || `track${index + 1}`;
+    let candidate = tag;
+    for (let counter = 2; used.has(candidate); counter += 1) {
+      candidate = `${tag}-${counter}`;
+    }
+    used.add(candidate);
+    return `${base}.${candidate}.${extension}`;
+  });
+}
 
-  const resolved = resolveUrl(manifestUrl, playerPageUrl);
-  if (!resolved || !isHttpUrl(resolved)) {
-    throw new Error("Vimeo manifest URL from player config is invalid.");
+// Subtitle files go to Chrome Downloads next to the video; failures never fail the video job.
+async function saveSubtitleFiles(mediaKey, subtitles, videoFilename, extension, debugLog) {
+  const filenames = buildSubtitleFilenames(videoFilename, subtitles, extension);
+  for (const [index, subtitle] of subtitles.entries()) {
+    const text = extension === "srt" ? convertWebVttToSrt(subtitle.text) : subtitle.text;
+    const blobUrl = URL.createObjectURL(new Blob([text], { type: extension === "srt" ? "application/x-subrip" : "text/vtt" }));
+    try {
+      await startBrowserDownload(blobUrl, filenames[index], { mediaKey, kind: "subtitle" });
+      debugLog(`Saved subtitle file ${filenames[index]}`);
+    } catch (error) {
+      URL.revokeObjectURL(blobUrl);
+      debugLog(`Failed to save subtitle file ${filenames[index]}: ${String(error?.message || error)}`);
+    }
   }
+}
+
+// Structured progress of one job, attached by reportStatus to its "running" updates:
+// { phase, track, segmentsDone, segmentsTotal, bytesDone, totalBytes, speedBps, etaSeconds, percent }.
+// phase is "resolving", "downloading" (per track, so a separate audio track starts over) or
+// "processing" (ffmpeg). totalBytes is extrapolated from the average segment size when the source
+// does not announce it; speedBps only counts bytes fetched from the network.
+function createJobProgress(mediaKey) {
+  let phase = "resolving";
+  let track = "";
+  let segmentsDone = 0;
+  let segmentsTotal = 0;
+  let bytesDone = 0;
+  let announcedBytes = 0;
+  let ratio = 0;
+  let fetchedBytes = 0;
+  let samples = [];
+  let lastReportAt = 0;
+
+  const getSpeed = () => {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const elapsed = first && last ? (last.at - first.at) / 1000 : 0;
+    return elapsed >= 0.5 ? Math.round((last.bytes - first.bytes) / elapsed) : 0;
+  };
+
   return {
-    progressive: null,
-    manifestUrl: resolved
+    beginTrack(label, total, totalBytes = 0) {
+      phase = "downloading";
+      track = label;
+      segmentsDone = 0;
+      segmentsTotal = total;
+      bytesDone = 0;
+      announcedBytes = totalBytes > 0 ? totalBytes : 0;
+    },
+    addBytes(bytes, segments = 0, fromNetwork = true) {
+      bytesDone += bytes;
+      segmentsDone += segments;
+      if (!fromNetwork) {
+        return;
+      }
+      const now = Date.now();
+      fetchedBytes += bytes;
+      samples.push({ at: now, bytes: fetchedBytes });
+      while (samples.length > 2 && now - samples[1].at > PROGRESS_SPEED_WINDOW_MS) {
+        samples.shift();
+      }
+    },
+    beginProcessing(label) {
+      phase = "processing";
+      track = label;
+      ratio = 0;
+    },
+    setRatio(value) {
+      ratio = Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : ratio;
+    },
+    snapshot() {
+      const totalBytes =
+        announcedBytes || (segmentsDone > 0 && segmentsTotal > 0 ? Math.round((bytesDone / segmentsDone) * segmentsTotal) : 0);
+      const speedBps = phase === "downloading" ? getSpeed() : 0;
+      let percent = 0;
+      if (phase === "processing") {
+        percent = ratio * 100;
+      } else if (segmentsTotal > 0) {
+        percent = (segmentsDone / segmentsTotal) * 100;
+      } else if (totalBytes > 0) {
+        percent = (bytesDone / totalBytes) * 100;
+      }
+      return {
+        phase,
+        track,
+        segmentsDone,
+        segmentsTotal,
+        bytesDone,
+        totalBytes,
+        speedBps,
+        etaSeconds: speedBps > 0 && totalBytes > bytesDone ? Math.round((totalBytes - bytesDone) / speedBps) : null,
+        percent: Math.min(100, Math.floor(percent))
+      };
+    },
+    // Progress-only update for sources that advance without a status message (byte streams, ffmpeg).
+    async report() {
+      if (Date.now() - lastReportAt < PROGRESS_REPORT_INTERVAL_MS) {
+        return;
+      }
+      lastReportAt = Date.now();
+      await reportStatus(mediaKey, {});
+    }
   };
 }
 
 async function reportStatus(mediaKey, patch) {
+  const progress = activeDownloads.get(mediaKey)?.progress;
   try {
     await chrome.runtime.sendMessage({
       type: "DOWNLOAD_STATUS_UPDATE",
       mediaKey,
-      patch
+      patch: progress && (!patch.state || patch.state === "running") ? { ...patch, progress: progress.snapshot() } : patch
     });
   } catch (error) {
     console.warn("Failed to report download status", error);
@@ -1141,15 +3433,85 @@ async function sendRuntimeMessage(message) {
   return response;
 }
 
-async function startBrowserDownload(blobUrl, filename) {
+// Signed CDN links (Vimeo exp=~hmac=, token query strings) can expire during a long download. The
+// refresher asks background for a fresh source URL of the same media: background re-reads the player
+// config in the source tab or waits for the page to request the media again. Concurrent callers share
+// one request; refresh(seenGeneration) returns the newest URL right away when the caller has not
+// used it yet.
+function createSourceRefresher(mediaKey, sourceUrl, debug) {
+  let currentUrl = sourceUrl;
+  let generation = 0;
+  let pending = null;
+  return {
+    get generation() {
+      return generation;
+    },
+    refresh(seenGeneration) {
+      if (seenGeneration < generation) {
+        return Promise.resolve(currentUrl);
+      }
+      if (!pending) {
+        if (generation >= MAX_SOURCE_REFRESHES) {
+          return Promise.reject(new SourceExpiredError("Segment links keep expiring; the source was already refreshed several times."));
+        }
+        pending = (async () => {
+          debug(`Signed link expired; requesting a fresh source URL (refresh ${generation + 1}/${MAX_SOURCE_REFRESHES}).`);
+          await reportStatus(mediaKey, {
+            state: "running",
+            message: "Link expired. Refreshing the source URL..."
+          });
+          let response;
+          try {
+            response = await sendRuntimeMessage({ type: "REFRESH_SOURCE", mediaKey, url: currentUrl });
+          } catch (error) {
+            throw new SourceExpiredError(error.message);
+          }
+          currentUrl = response.url;
+          generation += 1;
+          debug(`Continuing with refreshed source ${safeUrlForLog(currentUrl)}`);
+          return currentUrl;
+        })().finally(() => {
+          pending = null;
+        });
+      }
+      return pending;
+    }
+  };
+}
+
+// handoff ({ mediaKey, kind: "output" | "subtitle", segmentCount }) lets background follow the
+// download until Chrome finishes saving it. The blob URL (and workspace) stays alive until then.
+async function startBrowserDownload(blobUrl, filename, handoff, workspace = null) {
   const response = await sendRuntimeMessage({
     type: "BROWSER_DOWNLOAD_START",
     url: blobUrl,
-    filename
+    filename,
+    handoff
   });
+  handedOffDownloads.set(response.downloadId, { blobUrl, workspace });
+  if (earlyReleasedDownloadIds.delete(response.downloadId)) {
+    releaseHandedOffDownload(response.downloadId);
+  }
   return response.downloadId;
 }
 
+function releaseHandedOffDownload(downloadId) {
+  const entry = handedOffDownloads.get(downloadId);
+  if (!entry) {
+    earlyReleasedDownloadIds.add(downloadId);
+    return false;
+  }
+  handedOffDownloads.delete(downloadId);
+  URL.revokeObjectURL(entry.blobUrl);
+  if (entry.workspace) {
+    activeJobOutputNames.delete(entry.workspace.dirName);
+    entry.workspace.remove().catch((error) => {
+      console.warn("Failed to remove job output files", error);
+    });
+  }
+  return true;
+}
+
 async function cancelChromeDownloadIfNeeded(downloadId) {
   if (!Number.isFinite(downloadId)) {
     return;
@@ -1172,26 +3534,103 @@ async function cancelChromeDownloadIfNeeded(downloadId) {
   }
 }
 
-async function cancelDownloadJob(mediaKey) {
+async function cancelDownloadJob(mediaKey, options = {}) {
   const job = activeDownloads.get(mediaKey);
   if (!job) {
     return false;
   }
 
   job.cancelled = true;
+  job.paused = options.pause === true;
   job.abortController.abort();
   await cancelChromeDownloadIfNeeded(job.downloadId);
   await reportStatus(mediaKey, {
     state: "cancel_requested",
-    message: "Cancelling..."
+    message: job.paused ? "Pausing..." : "Cancelling..."
   });
   return true;
 }
 
+async function discardSegmentStore(segmentStore, debug) {
+  if (!segmentStore) {
+    return;
+  }
+  try {
+    await segmentStore.remove();
+  } catch (error) {
+    debug(`Failed to remove persisted segments: ${String(error?.message || error)}`);
+  }
+}
+
+async function discardJobWorkspace(workspace, debug) {
+  if (!workspace) {
+    return;
+  }
+  try {
+    await workspace.remove();
+  } catch (error) {
+    debug(`Failed to remove job output files: ${String(error?.message || error)}`);
+  }
+}
+
+// Audio exports skip video segments where the source keeps audio apart: Vimeo separate A/V
+// manifests, HLS variants with an audio rendition and DASH audio representations. Returns null
+// when the audio has to be extracted from the regular download instead.
+async function downloadSeparateAudioTrack(urlString, mediaInfo, signal, progressCallback, options = {}) {
+  if (mediaInfo.sourceType === "vimeo") {
+    const result = await resolveVimeoAudioTrackFromPlaylistJson(urlString, signal, progressCallback);
+    return result ? result.file : null;
+  }
+
+  if (mediaInfo.sourceType === "dash" || isDashManifestUrl(urlString)) {
+    const manifest = parseMpdManifest(await fetchText(urlString, signal), urlString);
+    const { audio } = pickBestDashRepresentations(manifest);
+    if (!audio) {
+      return null;
+    }
+    return downloadSegmentsToFile(
+      audio.segments,
+      signal,
+      async (index, total) => {
+        await progressCallback(`Downloading DASH audio segments ${index}/${total}...`);
+      },
+      {
+        extension: "m4a",
+        expectedDuration: manifest.durationSeconds,
+        label: "audio",
+        resolveSegments: refreshDashRepresentationSegments(audio, signal)
+      }
+    );
+  }
+
+  if (isTsPlaylistSourceType(mediaInfo.sourceType)) {
+    const hlsPlaylist = await resolveHlsPlaylist(urlString, signal, options);
+    if (!hlsPlaylist.audioSegments) {
+      return null;
+    }
+    const inferred = inferMimeAndExtensionFromSegmentUrls(hlsPlaylist.audioSegments, "audio/aac", "aac");
+    return downloadSegmentsToFile(
+      hlsPlaylist.audioSegments,
+      signal,
+      async (index, total) => {
+        await progressCallback(`Downloading audio segments ${index}/${total}...`);
+      },
+      {
+        extension: inferred.fileExtension,
+        segmentDurations: hlsPlaylist.audioSegmentDurations,
+        label: "audio",
+        resolveSegments: async (freshUrl) => (await resolveHlsPlaylist(freshUrl, signal, options)).audioSegments
+      }
+    );
+  }
+
+  return null;
+}
+
 async function startDownloadJob(urlString, lessonTitle, options = {}) {
-  const mediaInfo = extractMediaInfoFromUrl(urlString);
+  const mediaInfo = resolveJobMediaInfo(urlString, options.mediaInfo);
   if (!mediaInfo) {
-    throw new Error("URL is not a supported source URL (expected custom playlist, Vimeo playlist.json, or Vimeo player page URL).");
+    throw new Error("URL is not a supported source URL (expected a captured playlist, Vimeo playlist.json, or Vimeo player page URL).");
   }
 
   const debugTrace = [];
@@ -1206,7 +3645,18 @@ async function startDownloadJob(urlString, lessonTitle, options = {}) {
 
   const mediaKey = mediaInfo.mediaKey;
   const embeddedSources = normalizeVimeoEmbeddedSources(options.vimeoEmbeddedSources);
-  debug(`Start download job. sourceType=${mediaInfo.sourceType}, url=${safeUrlForLog(urlString)}`);
+  // Quality picked in the popup for sources whose renditions live behind one URL (Vimeo, DASH).
+  const preferredHeight = Number(options.preferredHeight) > 0 ? Number(options.preferredHeight) : 0;
+  const subtitleMode = SUBTITLE_MODES.includes(options.subtitleMode) ? options.subtitleMode : "off";
+  const subtitleTracks = embeddedSources ? [...embeddedSources.textTracks] : [];
+  const exportMode = options.exportMode === "audio" ? "audio" : "video";
+  const audioFormat = options.audioFormat === "mp3" ? "mp3" : "m4a";
+  const naming = { ...options.naming, preferredHeight };
+  debug(
+    `Start download job. sourceType=${mediaInfo.sourceType}, url=${safeUrlForLog(urlString)}${
+      preferredHeight ? `, preferredHeight=${preferredHeight}` : ""
+    }`
+  );
   if (activeDownloads.has(mediaKey)) {
     debug("Job already running for this media key.");
     await reportStatus(mediaKey, {
@@ -1221,7 +3671,9 @@ async function startDownloadJob(urlString, lessonTitle, options = {}) {
   const job = {
     abortController,
     downloadId: null,
-    cancelled: false
+    cancelled: false,
+    paused: false,
+    progress: createJobProgress(mediaKey)
   };
 
   activeDownloads.set(mediaKey, job);
@@ -1232,28 +3684,90 @@ async function startDownloadJob(urlString, lessonTitle, options = {}) {
     filename: ""
   });
 
+  let segmentStore = null;
+  try {
+    segmentStore = await openJobSegmentStore(mediaKey, {
+      url: urlString,
+      sourceType: mediaInfo.sourceType,
+      lessonTitle
+    });
+  } catch (error) {
+    debug(`Segment persistence unavailable: ${String(error?.message || error)}`);
+  }
+
+  let workspace = null;
   try {
-    let chunks = [];
+    await sweepStaleJobOutputs(activeJobOutputNames).catch((error) => {
+      debug(`Failed to sweep old job outputs: ${String(error?.message || error)}`);
+    });
+    if (Array.isArray(options.jobMediaKeys)) {
+      await sweepOrphanSegmentStores(options.jobMediaKeys).catch((error) => {
+        debug(`Failed to sweep orphaned segment stores: ${String(error?.message || error)}`);
+      });
+    }
+    workspace = await createJobWorkspace(mediaKey, segmentStore);
+    workspace.progress = job.progress;
+    workspace.fetchPolicy = options.fetchPolicy || DEFAULT_FETCH_POLICY;
+    // Player-page jobs resolve their manifest from the page itself; there is no captured URL to renew.
+    if (mediaInfo.sourceType !== "vimeo-player-page") {
+      workspace.sourceRefresher = createSourceRefresher(mediaKey, urlString, debug);
+    }
+    activeJobOutputNames.add(workspace.dirName);
+    jobWorkspaces.set(signal, workspace);
+    workspace.tags = await prepareOutputTags(options.metadata, signal, debug);
+
+    let outputFile = null;
     let segmentCount = 0;
     let mimeType = "video/mp2t";
     let fileExtension = "ts";
     let resolvedSourceUrl = urlString;
 
-    if (mediaInfo.sourceType === "vimeo-player-page") {
+    if (exportMode === "audio") {
+      debug(`Audio export (${audioFormat}); looking for a separate audio track.`);
+      try {
+        outputFile = await downloadSeparateAudioTrack(
+          urlString,
+          mediaInfo,
+          signal,
+          async (message) => {
+            await reportStatus(mediaKey, {
+              state: "running",
+              message
+            });
+          },
+          { variantPreference: options.variantPreference, debug }
+        );
+      } catch (error) {
+        if (isFinalJobError(error)) {
+          throw error;
+        }
+        debug(`Separate audio track unavailable: ${String(error?.message || error)}`);
+      }
+      if (outputFile) {
+        segmentCount = 1;
+        debug("Downloaded the separate audio track only; video segments are skipped.");
+      }
+    }
+
+    if (!outputFile && mediaInfo.sourceType === "vimeo-player-page") {
       debug(`Resolving Vimeo sources from player page ${safeUrlForLog(urlString)}`);
       await reportStatus(mediaKey, {
         state: "running",
         message: "Resolving Vimeo player config..."
       });
-      const resolvedSources = await resolveVimeoManifestUrlFromPlayerPage(urlString, signal);
+      const resolvedSources = await resolveVimeoManifestUrlFromPlayerPage(urlString, signal, { preferredHeight });
+      subtitleTracks.push(...resolvedSources.textTracks);
       if (resolvedSources.progressive) {
         debug(`Using progressive source ${safeUrlForLog(resolvedSources.progressive.url)}`);
         await reportStatus(mediaKey, {
           state: "running",
           message: "Downloading progressive MP4..."
         });
-        const fullBuffer = await fetchSegmentWithRetry(resolvedSources.progressive.url, MAX_SEGMENT_RETRIES, signal);
-        chunks = [fullBuffer];
+        outputFile = await downloadUrlToFile(
+          resolvedSources.progressive.url,
+          signal,
+          resolvedSources.progressive.fileExtension
+        );
         segmentCount = 1;
         mimeType = resolvedSources.progressive.mimeType;
         fileExtension = resolvedSources.progressive.fileExtension;
@@ -1264,7 +3778,7 @@ async function startDownloadJob(urlString, lessonTitle, options = {}) {
     }
 
     if (
-      chunks.length === 0 &&
+      !outputFile &&
       (mediaInfo.sourceType === "vimeo" || (mediaInfo.sourceType === "vimeo-player-page" && resolvedSourceUrl.includes("playlist.json")))
     ) {
       await reportStatus(mediaKey, {
@@ -1273,13 +3787,18 @@ async function startDownloadJob(urlString, lessonTitle, options = {}) {
       });
       debug(`Resolving Vimeo playlist JSON ${safeUrlForLog(resolvedSourceUrl)}`);
       try {
-        const vimeoResult = await resolveVimeoChunksFromPlaylistJson(resolvedSourceUrl, signal, async (message) => {
-          await reportStatus(mediaKey, {
-            state: "running",
-            message
-          });
-        });
-        chunks = vimeoResult.chunks;
+        const vimeoResult = await resolveVimeoFileFromPlaylistJson(
+          resolvedSourceUrl,
+          signal,
+          async (message) => {
+            await reportStatus(mediaKey, {
+              state: "running",
+              message
+            });
+          },
+          { preferredHeight }
+        );
+        outputFile = vimeoResult.file;
         segmentCount = vimeoResult.segmentCount;
         mimeType = vimeoResult.mimeType;
         fileExtension = vimeoResult.fileExtension;
@@ -1301,8 +3820,11 @@ async function startDownloadJob(urlString, lessonTitle, options = {}) {
                   state: "running",
                   message: "Using progressive source from Vimeo frame..."
                 });
-                const fullBuffer = await fetchSegmentWithRetry(embeddedSources.progressive.url, MAX_SEGMENT_RETRIES, signal);
-                chunks = [fullBuffer];
+                outputFile = await downloadUrlToFile(
+                  embeddedSources.progressive.url,
+                  signal,
+                  embeddedSources.progressive.fileExtension
+                );
                 segmentCount = 1;
                 mimeType = embeddedSources.progressive.mimeType;
                 fileExtension = embeddedSources.progressive.fileExtension;
@@ -1346,16 +3868,21 @@ async function startDownloadJob(urlString, lessonTitle, options = {}) {
             });
             try {
               const playerResolved = await resolveVimeoManifestUrlFromPlayerPage(playerPageUrl, signal, {
-                preferHls: true
+                preferHls: true,
+                preferredHeight
               });
+              subtitleTracks.push(...playerResolved.textTracks);
               if (playerResolved.progressive) {
                 debug(`Player config returned progressive source ${safeUrlForLog(playerResolved.progressive.url)}`);
                 await reportStatus(mediaKey, {
                   state: "running",
                   message: "Found progressive MP4 via player config..."
                 });
-                const fullBuffer = await fetchSegmentWithRetry(playerResolved.progressive.url, MAX_SEGMENT_RETRIES, signal);
-                chunks = [fullBuffer];
+                outputFile = await downloadUrlToFile(
+                  playerResolved.progressive.url,
+                  signal,
+                  playerResolved.progressive.fileExtension
+                );
                 segmentCount = 1;
                 mimeType = playerResolved.progressive.mimeType;
                 fileExtension = playerResolved.progressive.fileExtension;
@@ -1372,7 +3899,7 @@ async function startDownloadJob(urlString, lessonTitle, options = {}) {
 
           if (!resolvedViaPlayerConfig) {
             if (ffmpegInputUrl) {
-              const ffmpegOutput = buildDownloadFilename(urlString, lessonTitle, "mp4");
+              const ffmpegOutput = buildDownloadFilename(mediaInfo, lessonTitle, "mp4", naming);
               const ffmpegCommand = buildFfmpegCommand(ffmpegInputUrl, ffmpegOutput);
               debug(`Separate A/V requires mux. Downloading separate tracks for embedded ffmpeg: ${ffmpegOutput}`);
               try {
@@ -1388,7 +3915,8 @@ async function startDownloadJob(urlString, lessonTitle, options = {}) {
                       state: "running",
                       message: progressMessage
                     });
-                  }
+                  },
+                  { preferredHeight }
                 );
                 debug(
                   `Downloaded separate tracks (video segments=${separateTracks.videoSegmentCount}, audio segments=${separateTracks.audioSegmentCount})`
@@ -1397,24 +3925,68 @@ async function startDownloadJob(urlString, lessonTitle, options = {}) {
                   state: "running",
                   message: "Muxing audio+video with embedded ffmpeg..."
                 });
-                const mergedOutput = await runEmbeddedFfmpegMuxFromBuffers(
-                  separateTracks.videoBuffer,
-                  separateTracks.audioBuffer,
+                outputFile = await runEmbeddedFfmpegMuxFromFiles(
+                  separateTracks.videoFile,
+                  separateTracks.audioFile,
                   ffmpegOutput,
                   signal,
                   debug
                 );
-                chunks = [mergedOutput];
                 segmentCount = 1;
                 mimeType = "video/mp4";
                 fileExtension = "mp4";
                 resolvedViaPlayerConfig = true;
               } catch (embeddedMuxError) {
+                if (isFinalJobError(embeddedMuxError)) {
+                  throw embeddedMuxError;
+                }
                 debug(`Embedded ffmpeg mux failed: ${String(embeddedMuxError?.message || embeddedMuxError)}`);
-                throw new FfmpegRequiredError(
-                  "Embedded ffmpeg mux failed. Use local ffmpeg command (Copy ffmpeg).",
-                  ffmpegCommand
-                );
+                // The DASH fallback fetches the same tracks and would hit the same limit.
+                if (embeddedMuxError instanceof EmbeddedFfmpegLimitError) {
+                  throw new FfmpegRequiredError(
+                    `${embeddedMuxError.message} Use local ffmpeg command (Copy ffmpeg).`,
+                    ffmpegCommand
+                  );
+                }
+                if (!isDashManifestUrl(ffmpegInputUrl)) {
+                  throw new FfmpegRequiredError(
+                    "Embedded ffmpeg mux failed. Use local ffmpeg command (Copy ffmpeg).",
+                    ffmpegCommand
+                  );
+                }
+              }
+
+              if (!resolvedViaPlayerConfig) {
+                debug(`Trying native DASH download from ${safeUrlForLog(ffmpegInputUrl)}`);
+                try {
+                  const dashOutput = await downloadDashAsMp4(
+                    ffmpegInputUrl,
+                    ffmpegOutput,
+                    signal,
+                    async (progressMessage) => {
+                      await reportStatus(mediaKey, {
+                        state: "running",
+                        message: progressMessage
+                      });
+                    },
+                    debug,
+                    { preferredHeight }
+                  );
+                  outputFile = dashOutput;
+                  segmentCount = 1;
+                  mimeType = "video/mp4";
+                  fileExtension = "mp4";
+                  resolvedViaPlayerConfig = true;
+                } catch (dashError) {
+                  if (isFinalJobError(dashError)) {
+                    throw dashError;
+                  }
+                  debug(`Native DASH download failed: ${String(dashError?.message || dashError)}`);
+                  throw new FfmpegRequiredError(
+                    "Embedded ffmpeg mux failed. Use local ffmpeg command (Copy ffmpeg).",
+                    ffmpegCommand
+                  );
+                }
               }
             }
 
@@ -1424,13 +3996,18 @@ async function startDownloadJob(urlString, lessonTitle, options = {}) {
                 state: "running",
                 message: "Separate A/V detected. Trying Vimeo HLS TS fallback..."
               });
-              const fallback = await resolveVimeoViaHlsTsFallback(resolvedSourceUrl, signal, async (index, total) => {
-                await reportStatus(mediaKey, {
-                  state: "running",
-                  message: `Downloading fallback TS segments ${index}/${total}...`
-                });
-              });
-              chunks = fallback.chunks;
+              const fallback = await resolveVimeoViaHlsTsFallback(
+                resolvedSourceUrl,
+                signal,
+                async (index, total) => {
+                  await reportStatus(mediaKey, {
+                    state: "running",
+                    message: `Downloading fallback TS segments ${index}/${total}...`
+                  });
+                },
+                { variantPreference: options.variantPreference, debug }
+              );
+              outputFile = fallback.file;
               segmentCount = fallback.segmentCount;
               mimeType = fallback.mimeType;
               fileExtension = fallback.fileExtension;
@@ -1440,35 +4017,122 @@ async function startDownloadJob(urlString, lessonTitle, options = {}) {
           throw error;
         }
       }
-    } else if (chunks.length === 0) {
-      debug(`Using generic playlist resolver on ${safeUrlForLog(resolvedSourceUrl)}`);
-      const segmentUrls = await resolveSegmentUrlsFromPlaylistUrl(resolvedSourceUrl, signal);
-      chunks = await downloadSegmentBuffers(segmentUrls, signal, async (index, total) => {
-        await reportStatus(mediaKey, {
-          state: "running",
-          message: `Downloading segments ${index}/${total}...`
-        });
+    } else if (!outputFile && (mediaInfo.sourceType === "dash" || isDashManifestUrl(resolvedSourceUrl))) {
+      debug(`Using native DASH resolver on ${safeUrlForLog(resolvedSourceUrl)}`);
+      await reportStatus(mediaKey, {
+        state: "running",
+        message: "Resolving DASH manifest..."
       });
-      segmentCount = segmentUrls.length;
-      const fallbackMimeType = mediaInfo.sourceType === "custom" ? "video/mp2t" : "video/mp4";
-      const fallbackExtension = mediaInfo.sourceType === "custom" ? "ts" : "mp4";
+      const dashOutput = await downloadDashAsMp4(
+        resolvedSourceUrl,
+        buildDownloadFilename(mediaInfo, lessonTitle, "mp4", naming),
+        signal,
+        async (progressMessage) => {
+          await reportStatus(mediaKey, {
+            state: "running",
+            message: progressMessage
+          });
+        },
+        debug,
+        { preferredHeight }
+      );
+      outputFile = dashOutput;
+      segmentCount = 1;
+      mimeType = "video/mp4";
+      fileExtension = "mp4";
+    } else if (!outputFile) {
+      debug(`Using generic playlist resolver on ${safeUrlForLog(resolvedSourceUrl)}`);
+      const hlsOptions = { variantPreference: options.variantPreference, debug };
+      const hlsPlaylist = await resolveHlsPlaylist(resolvedSourceUrl, signal, hlsOptions);
+      const segmentUrls = hlsPlaylist.segments;
+      subtitleTracks.push(...listHlsSubtitleTracks(hlsPlaylist.renditions, hlsPlaylist.variant?.subtitlesGroup));
+      const encryptedCount = segmentUrls.filter((segment) => typeof segment !== "string" && segment.encryption).length;
+      if (encryptedCount > 0) {
+        debug(`Playlist is AES-128 encrypted (${encryptedCount}/${segmentUrls.length} segments); decrypting before merge.`);
+      }
+      const fallbackMimeType = isTsPlaylistSourceType(mediaInfo.sourceType) ? "video/mp2t" : "video/mp4";
+      const fallbackExtension = isTsPlaylistSourceType(mediaInfo.sourceType) ? "ts" : "mp4";
       const inferred = inferMimeAndExtensionFromSegmentUrls(segmentUrls, fallbackMimeType, fallbackExtension);
+      const trackLabel = hlsPlaylist.audioSegments ? "video " : "";
+      outputFile = await downloadSegmentsToFile(
+        segmentUrls,
+        signal,
+        async (index, total) => {
+          await reportStatus(mediaKey, {
+            state: "running",
+            message: `Downloading ${trackLabel}segments ${index}/${total}...`
+          });
+        },
+        {
+          extension: inferred.fileExtension,
+          segmentDurations: hlsPlaylist.segmentDurations,
+          resolveSegments: async (freshUrl) => (await resolveHlsPlaylist(freshUrl, signal, hlsOptions)).segments
+        }
+      );
+      segmentCount = segmentUrls.length;
       mimeType = inferred.mimeType;
       fileExtension = inferred.fileExtension;
+
+      if (hlsPlaylist.audioSegments) {
+        const audioInferred = inferMimeAndExtensionFromSegmentUrls(hlsPlaylist.audioSegments, "audio/aac", "aac");
+        const audioFile = await downloadSegmentsToFile(
+          hlsPlaylist.audioSegments,
+          signal,
+          async (index, total) => {
+            await reportStatus(mediaKey, {
+              state: "running",
+              message: `Downloading audio segments ${index}/${total}...`
+            });
+          },
+          {
+            extension: audioInferred.fileExtension,
+            segmentDurations: hlsPlaylist.audioSegmentDurations,
+            label: "audio",
+            resolveSegments: async (freshUrl) => (await resolveHlsPlaylist(freshUrl, signal, hlsOptions)).audioSegments
+          }
+        );
+        await reportStatus(mediaKey, {
+          state: "running",
+          message: "Muxing audio+video with embedded ffmpeg..."
+        });
+        const muxOutput = buildDownloadFilename(mediaInfo, lessonTitle, "mp4", naming);
+        try {
+          outputFile = await runEmbeddedFfmpegMuxFromFiles(outputFile, audioFile, muxOutput, signal, debug);
+        } catch (muxError) {
+          if (isCancelledError(muxError)) {
+            throw muxError;
+          }
+          debug(`Embedded ffmpeg mux of separate HLS audio failed: ${String(muxError?.message || muxError)}`);
+          throw new FfmpegRequiredError(
+            muxError instanceof EmbeddedFfmpegLimitError
+              ? `${muxError.message} Use local ffmpeg command (Copy ffmpeg).`
+              : "Embedded ffmpeg mux failed. Use local ffmpeg command (Copy ffmpeg).",
+            buildFfmpegCommand(resolvedSourceUrl, muxOutput)
+          );
+        }
+        segmentCount += hlsPlaylist.audioSegments.length;
+        mimeType = "video/mp4";
+        fileExtension = "mp4";
+      }
     }
 
-    if (mediaInfo.sourceType === "custom" && fileExtension === "ts" && chunks.length > 0) {
-      debug("Attempting embedded ffmpeg remux TS -> MP4 for custom source.");
+    // A TS too large for ffmpeg.wasm is saved as the concatenated stream; players handle .ts as-is.
+    const tsTooLarge = fileExtension === "ts" && outputFile && outputFile.size > MAX_EMBEDDED_FFMPEG_BYTES;
+    if (exportMode === "video" && tsTooLarge) {
+      debug(`TS output is ${Math.round(outputFile.size / 1048576)} MB; skipping the MP4 remux.`);
+      await reportStatus(mediaKey, {
+        state: "running",
+        message: "Too large to remux in the browser, saving TS as-is..."
+      });
+    } else if (exportMode === "video" && isTsPlaylistSourceType(mediaInfo.sourceType) && fileExtension === "ts" && outputFile) {
+      debug(`Attempting embedded ffmpeg remux TS -> MP4 for ${mediaInfo.sourceType} source.`);
       await reportStatus(mediaKey, {
         state: "running",
         message: "Remuxing TS to MP4..."
       });
       try {
-        const tsBuffer = concatArrayBuffers(chunks);
-        const mp4Name = buildDownloadFilename(urlString, lessonTitle, "mp4");
-        const mp4Buffer = await runEmbeddedFfmpegRemuxTsToMp4(tsBuffer, mp4Name, signal, debug);
-        chunks = [mp4Buffer];
-        segmentCount = 1;
+        const mp4Name = buildDownloadFilename(mediaInfo, lessonTitle, "mp4", naming);
+        outputFile = await runEmbeddedFfmpegRemuxTsToMp4(outputFile, mp4Name, signal, debug);
         mimeType = "video/mp4";
         fileExtension = "mp4";
         debug("TS -> MP4 remux succeeded.");
@@ -1482,44 +4146,149 @@ async function startDownloadJob(urlString, lessonTitle, options = {}) {
     }
 
     throwIfAborted(signal);
-    await reportStatus(mediaKey, {
-      state: "running",
-      message: "Merging segments..."
-    });
+    if (!outputFile) {
+      throw new Error("No output was produced for this source.");
+    }
+
+    if (exportMode === "audio") {
+      await reportStatus(mediaKey, {
+        state: "running",
+        message: `Extracting ${audioFormat.toUpperCase()} audio with embedded ffmpeg...`
+      });
+      try {
+        const audio = await runEmbeddedFfmpegExtractAudio(
+          outputFile,
+          audioFormat,
+          buildDownloadFilename(mediaInfo, lessonTitle, audioFormat, naming),
+          signal,
+          debug
+        );
+        outputFile = audio.file;
+        mimeType = audio.mimeType;
+        fileExtension = audio.fileExtension;
+      } catch (error) {
+        if (isCancelledError(error) || signal.aborted) {
+          throw error;
+        }
+        throw new Error(`Audio export failed in embedded ffmpeg: ${String(error?.message || error)}`);
+      }
+    }
+
+    let subtitles = [];
+    if (subtitleMode !== "off" && exportMode === "video") {
+      const textTrackPageUrl = options.vimeoPlayerPageUrl || embeddedSources?.playerPageUrl || "";
+      if (subtitleTracks.length === 0 && mediaInfo.sourceType === "vimeo" && textTrackPageUrl) {
+        try {
+          subtitleTracks.push(...(await resolveVimeoTextTracksFromPlayerPage(textTrackPageUrl, signal)));
+        } catch (error) {
+          if (isCancelledError(error)) {
+            throw error;
+          }
+          debug(`Vimeo text track lookup failed: ${String(error?.message || error)}`);
+        }
+      }
+      if (subtitleTracks.length > 0) {
+        await reportStatus(mediaKey, {
+          state: "running",
+          message: "Downloading subtitles..."
+        });
+        subtitles = await fetchSubtitleTracks(subtitleTracks, signal, debug);
+      }
+    }
+
+    if (subtitleMode === "embed" && subtitles.length > 0) {
+      if (fileExtension !== "mp4") {
+        debug(`Cannot embed subtitles into .${fileExtension} output; saving them as files.`);
+      } else {
+        await reportStatus(mediaKey, {
+          state: "running",
+          message: "Embedding subtitles with embedded ffmpeg..."
+        });
+        try {
+          const subtitleInputs = [];
+          for (const subtitle of subtitles) {
+            const file = await writeBuffersToJobFile(signal, [new TextEncoder().encode(subtitle.text)], "vtt");
+            subtitleInputs.push({ file, language: subtitle.language });
+          }
+          outputFile = await runEmbeddedFfmpegEmbedSubtitles(
+            outputFile,
+            subtitleInputs,
+            buildDownloadFilename(mediaInfo, lessonTitle, "mp4", naming),
+            signal,
+            debug
+          );
+          debug(`Embedded ${subtitles.length} subtitle stream(s) as mov_text.`);
+          subtitles = [];
+        } catch (embedError) {
+          if (isCancelledError(embedError)) {
+            throw embedError;
+          }
+          debug(`Subtitle embed failed, saving them as files: ${String(embedError?.message || embedError)}`);
+        }
+      }
+    }
+
+    if (workspace.tags && !workspace.tags.applied && fileExtension === "mp4") {
+      await reportStatus(mediaKey, {
+        state: "running",
+        message: "Writing MP4 metadata..."
+      });
+      try {
+        outputFile = await runEmbeddedFfmpegTagMp4(outputFile, buildDownloadFilename(mediaInfo, lessonTitle, "mp4", naming), signal, debug);
+      } catch (error) {
+        if (isCancelledError(error) || signal.aborted) {
+          throw error;
+        }
+        debug(`Writing MP4 metadata failed, saving untagged: ${String(error?.message || error)}`);
+      }
+    }
 
-    const filename = buildDownloadFilename(urlString, lessonTitle, fileExtension);
-    debug(`Prepared blob (${chunks.length} chunks, mime=${mimeType}), starting browser download as ${filename}`);
-    const blob = new Blob(chunks, { type: mimeType });
-    const blobUrl = URL.createObjectURL(blob);
+    const filename = buildDownloadFilename(mediaInfo, lessonTitle, fileExtension, naming);
+    workspace.warnings.forEach((warning) => debug(`Warning: ${warning}`));
+    debug(`Prepared ${outputFile.size} byte output (mime=${mimeType}), starting browser download as ${filename}`);
+    // slice() re-types the OPFS file without reading it; the blob stays disk-backed.
+    const blobUrl = URL.createObjectURL(outputFile.slice(0, outputFile.size, mimeType));
 
     let downloadId;
     try {
       throwIfAborted(signal);
-      downloadId = await startBrowserDownload(blobUrl, filename);
-      job.downloadId = downloadId;
-      throwIfAborted(signal);
-    } finally {
-      setTimeout(() => {
-        URL.revokeObjectURL(blobUrl);
-      }, 60_000);
+      // Background reports "saving" from here on and settles the state from chrome.downloads events.
+      downloadId = await startBrowserDownload(
+        blobUrl,
+        filename,
+        { mediaKey, kind: "output", segmentCount, warnings: workspace.warnings },
+        workspace
+      );
+    } catch (error) {
+      URL.revokeObjectURL(blobUrl);
+      throw error;
     }
+    job.downloadId = downloadId;
 
     if (job.cancelled || signal.aborted) {
       await cancelChromeDownloadIfNeeded(downloadId);
       throw new CancelledError("Download cancelled by user.");
     }
 
-    await reportStatus(mediaKey, {
-      state: "success",
-      message: "Download started in Chrome Downloads.",
-      filename,
-      segmentCount,
-      downloadId
-    });
-    debug(`Download start success, downloadId=${downloadId}`);
+    if (subtitles.length > 0) {
+      await saveSubtitleFiles(mediaKey, subtitles, filename, subtitleMode === "srt" ? "srt" : "vtt", debug);
+    }
+
+    // Persisted segments are discarded by background once Chrome has saved the file.
+    debug(`Handed off to Chrome Downloads, downloadId=${downloadId}`);
   } catch (error) {
-    if (isCancelledError(error) || job.cancelled || signal.aborted) {
+    await discardJobWorkspace(workspace, debug);
+    if (job.paused) {
+      debug("Download paused.");
+      await reportStatus(mediaKey, {
+        state: "paused",
+        message: "Paused.",
+        error: "",
+        downloadId: null
+      });
+    } else if (isCancelledError(error) || job.cancelled || signal.aborted) {
       debug("Download cancelled.");
+      await discardSegmentStore(segmentStore, debug);
       await reportStatus(mediaKey, {
         state: "cancelled",
         message: "Download cancelled by user.",
@@ -1529,16 +4298,32 @@ async function startDownloadJob(urlString, lessonTitle, options = {}) {
       });
     } else {
       const ffmpegCommand = typeof error?.ffmpegCommand === "string" ? error.ffmpegCommand : "";
+      // Segments that failed validation are missing from the segment store, so resuming the job
+      // re-fetches exactly those and reuses the rest.
+      const badSegments = error instanceof SegmentIntegrityError ? error.badSegments.map((entry) => entry.index) : [];
+      // FetchError, SourceExpiredError and SegmentIntegrityError carry a code the popup turns into a hint.
+      const errorCode = typeof error?.code === "string" ? error.code : "";
+      let message = "Download failed.";
+      if (badSegments.length > 0) {
+        message = "Integrity check failed.";
+      } else if (error instanceof SourceExpiredError) {
+        message = "Link expired. Play the video in its tab, then download again to reuse the saved segments.";
+      }
       debug(`Download failed: ${String(error?.message || error)}`);
       await reportStatus(mediaKey, {
         state: "error",
-        message: "Download failed.",
+        message,
         error: error.message,
         debugTrace: debugTrace.join("\n"),
-        ffmpegCommand
+        ffmpegCommand,
+        badSegments,
+        errorCode
       });
     }
   } finally {
+    if (workspace && !handedOffDownloads.has(job.downloadId)) {
+      activeJobOutputNames.delete(workspace.dirName);
+    }
     activeDownloads.delete(mediaKey);
   }
 }
@@ -1550,6 +4335,7 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 
   if (message.type === "OFFSCREEN_START_DOWNLOAD") {
     const urlString = typeof message.url === "string" ? message.url : "";
+    const mediaInfo = isPlainObject(message.mediaInfo) ? message.mediaInfo : null;
     const lessonTitle = typeof message.lessonTitle === "string" ? message.lessonTitle : "";
     const vimeoPlayerPageUrl = typeof message.vimeoPlayerPageUrl === "string" ? message.vimeoPlayerPageUrl : "";
     const pageUrl = typeof message.pageUrl === "string" ? message.pageUrl : "";
@@ -1560,13 +4346,50 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
       return undefined;
     }
 
-    startDownloadJob(urlString, lessonTitle, { vimeoPlayerPageUrl, pageUrl, vimeoEmbeddedSources }).catch((error) => {
+    const variantPreference = isPlainObject(message.variantPreference) ? message.variantPreference : null;
+    const preferredHeight = Number.isInteger(message.preferredHeight) ? message.preferredHeight : 0;
+    startDownloadJob(urlString, lessonTitle, {
+      mediaInfo,
+      vimeoPlayerPageUrl,
+      pageUrl,
+      vimeoEmbeddedSources,
+      variantPreference,
+      preferredHeight,
+      subtitleMode: message.subtitleMode,
+      exportMode: message.exportMode,
+      audioFormat: message.audioFormat,
+      metadata: normalizeMediaMetadata(message.metadata),
+      fetchPolicy: createFetchPolicy(message),
+      jobMediaKeys: Array.isArray(message.jobMediaKeys) ? message.jobMediaKeys.map(String) : null,
+      naming: isPlainObject(message.naming) ? message.naming : null
+    }).catch((error) => {
       console.error("Offscreen download job failed", error);
     });
     sendResponse({ ok: true });
     return undefined;
   }
 
+  if (message.type === "OFFSCREEN_RELEASE_DOWNLOAD") {
+    sendResponse({ ok: true, found: releaseHandedOffDownload(Number(message.downloadId)) });
+    return undefined;
+  }
+
+  if (message.type === "OFFSCREEN_DISCARD_SEGMENTS") {
+    const mediaKey = typeof message.mediaKey === "string" ? message.mediaKey : "";
+    if (!mediaKey || activeDownloads.has(mediaKey)) {
+      sendResponse({ ok: false, error: "Cannot discard segments of a running or unknown job." });
+      return undefined;
+    }
+
+    removeJobSegmentDirectory(mediaKey)
+      .then((found) => sendResponse({ ok: true, found }))
+      .catch((error) => {
+        console.error("Failed to discard persisted segments", error);
+        sendResponse({ ok: false, error: error.message });
+      });
+    return true;
+  }
+
   if (message.type === "OFFSCREEN_CANCEL_DOWNLOAD") {
     const mediaKey = typeof message.mediaKey === "string" ? message.mediaKey : "";
     if (!mediaKey) {
@@ -1574,7 +4397,7 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
       return undefined;
     }
 
-    cancelDownloadJob(mediaKey)
+    cancelDownloadJob(mediaKey, { pause: message.pause === true })
       .then((found) => sendResponse({ ok: true, found }))
       .catch((error) => {
         console.error("Offscreen cancellation failed", error);
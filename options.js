@@ -0,0 +1,333 @@
+import { renderFilenameTemplate } from "./filename-template.js";
+
+const ruleListEl = document.getElementById("ruleList");
+const statusEl = document.getElementById("status");
+const addRuleButton = document.getElementById("addRuleButton");
+const resetRulesButton = document.getElementById("resetRulesButton");
+const saveButton = document.getElementById("saveButton");
+const settingInputs = Array.from(document.querySelectorAll("[data-setting]"));
+const filenamePreviewEl = document.getElementById("filenamePreview");
+const filenameTemplateInput = document.querySelector('[data-setting="filenameTemplate"]');
+const filenameTransliterateInput = document.querySelector('[data-setting="filenameTransliterate"]');
+
+// Example lesson shown in the filename template preview.
+const FILENAME_PREVIEW_VALUES = {
+  school: "Photo School",
+  course: "Основы фотографии",
+  module: "Свет",
+  moduleIndex: 2,
+  lessonIndex: 7,
+  videoIndex: 2,
+  videoCount: 3,
+  videoLabel: "Video 2 of 3",
+  videoHeading: "Разбор домашнего задания",
+  lessonTitle: "Работа с тенью",
+  videoId: "4f1c9a",
+  resolution: "1080p",
+  sourceType: "custom",
+  date: new Date().toISOString().slice(0, 10),
+  ext: "mp4"
+};
+
+let currentRules = [];
+let defaultRules = [];
+let sourceTypes = ["custom"];
+
+function setStatus(message, isError = false) {
+  statusEl.textContent = message || "";
+  if (isError) {
+    statusEl.classList.add("error");
+  } else {
+    statusEl.classList.remove("error");
+  }
+}
+
+function sendRuntimeMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+function cloneRules(rules) {
+  return rules.map((rule) => ({
+    ...rule,
+    requiredQueryParams: Array.isArray(rule.requiredQueryParams) ? [...rule.requiredQueryParams] : []
+  }));
+}
+
+function createTextField(labelText, value, onInput, options = {}) {
+  const label = document.createElement("label");
+  if (options.wide) {
+    label.className = "wide";
+  }
+  label.textContent = labelText;
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = value || "";
+  input.placeholder = options.placeholder || "";
+  if (options.mono) {
+    input.className = "mono";
+  }
+  input.addEventListener("input", () => onInput(input.value));
+  label.appendChild(input);
+  return label;
+}
+
+function moveRule(index, delta) {
+  const target = index + delta;
+  if (target < 0 || target >= currentRules.length) {
+    return;
+  }
+  const [rule] = currentRules.splice(index, 1);
+  currentRules.splice(target, 0, rule);
+  render();
+}
+
+function render() {
+  ruleListEl.innerHTML = "";
+
+  currentRules.forEach((rule, index) => {
+    const row = document.createElement("li");
+    row.className = rule.enabled ? "rule" : "rule disabled";
+
+    const top = document.createElement("div");
+    top.className = "ruleTop";
+
+    const enabledLabel = document.createElement("label");
+    enabledLabel.className = "inline";
+    const enabledInput = document.createElement("input");
+    enabledInput.type = "checkbox";
+    enabledInput.checked = rule.enabled;
+    enabledInput.addEventListener("change", () => {
+      rule.enabled = enabledInput.checked;
+      row.className = rule.enabled ? "rule" : "rule disabled";
+    });
+    enabledLabel.appendChild(enabledInput);
+    enabledLabel.appendChild(document.createTextNode(" Enabled"));
+    top.appendChild(enabledLabel);
+
+    const actions = document.createElement("div");
+    actions.className = "ruleActions";
+
+    const upButton = document.createElement("button");
+    upButton.type = "button";
+    upButton.textContent = "Up";
+    upButton.disabled = index === 0;
+    upButton.addEventListener("click", () => moveRule(index, -1));
+    actions.appendChild(upButton);
+
+    const downButton = document.createElement("button");
+    downButton.type = "button";
+    downButton.textContent = "Down";
+    downButton.disabled = index === currentRules.length - 1;
+    downButton.addEventListener("click", () => moveRule(index, 1));
+    actions.appendChild(downButton);
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.textContent = "Remove";
+    removeButton.addEventListener("click", () => {
+      currentRules.splice(index, 1);
+      render();
+    });
+    actions.appendChild(removeButton);
+    top.appendChild(actions);
+
+    const fields = document.createElement("div");
+    fields.className = "ruleFields";
+    fields.appendChild(
+      createTextField("Name", rule.name, (value) => {
+        rule.name = value;
+      })
+    );
+
+    const sourceTypeLabel = document.createElement("label");
+    sourceTypeLabel.textContent = "Source type";
+    const sourceTypeSelect = document.createElement("select");
+    for (const type of sourceTypes) {
+      const option = document.createElement("option");
+      option.value = type;
+      option.textContent = type;
+      sourceTypeSelect.appendChild(option);
+    }
+    sourceTypeSelect.value = rule.sourceType;
+    sourceTypeSelect.addEventListener("change", () => {
+      rule.sourceType = sourceTypeSelect.value;
+    });
+    sourceTypeLabel.appendChild(sourceTypeSelect);
+    fields.appendChild(sourceTypeLabel);
+
+    fields.appendChild(
+      createTextField(
+        "Host glob",
+        rule.hostGlob,
+        (value) => {
+          rule.hostGlob = value;
+        },
+        { mono: true, placeholder: "*.example.com" }
+      )
+    );
+    fields.appendChild(
+      createTextField(
+        "Required query params (comma-separated)",
+        rule.requiredQueryParams.join(", "),
+        (value) => {
+          rule.requiredQueryParams = value
+            .split(",")
+            .map((name) => name.trim())
+            .filter(Boolean);
+        },
+        { mono: true, placeholder: "user-id" }
+      )
+    );
+    fields.appendChild(
+      createTextField(
+        "Path regex",
+        rule.pathRegex,
+        (value) => {
+          rule.pathRegex = value;
+        },
+        { mono: true, wide: true, placeholder: "/media/(?<mediaKey>.+)/(?<resolution>\\d+)$" }
+      )
+    );
+    fields.appendChild(
+      createTextField(
+        "URL must contain (optional, case-insensitive)",
+        rule.urlContains,
+        (value) => {
+          rule.urlContains = value;
+        },
+        { wide: true }
+      )
+    );
+
+    row.appendChild(top);
+    row.appendChild(fields);
+    ruleListEl.appendChild(row);
+  });
+}
+
+async function loadRules() {
+  const response = await sendRuntimeMessage({ type: "GET_CAPTURE_RULES" });
+  if (!response || !response.ok) {
+    throw new Error(response && response.error ? response.error : "Failed to load capture rules.");
+  }
+
+  currentRules = cloneRules(response.rules);
+  defaultRules = cloneRules(response.defaultRules);
+  sourceTypes = Array.isArray(response.sourceTypes) ? response.sourceTypes : sourceTypes;
+  render();
+}
+
+function readSettingInput(input) {
+  if (input.type === "checkbox") {
+    return input.checked;
+  }
+  if (input.type === "number") {
+    return input.value === "" ? "" : Number(input.value);
+  }
+  return input.value;
+}
+
+function writeSettingInput(input, value) {
+  if (input.type === "checkbox") {
+    input.checked = value === true;
+    return;
+  }
+  input.value = value === undefined || value === null ? "" : String(value);
+}
+
+async function loadSettings() {
+  const response = await sendRuntimeMessage({ type: "GET_SETTINGS" });
+  if (!response || !response.ok) {
+    throw new Error(response && response.error ? response.error : "Failed to load settings.");
+  }
+
+  for (const input of settingInputs) {
+    writeSettingInput(input, response.settings[input.dataset.setting]);
+  }
+}
+
+async function saveSettings() {
+  const settings = {};
+  for (const input of settingInputs) {
+    settings[input.dataset.setting] = readSettingInput(input);
+  }
+
+  const response = await sendRuntimeMessage({
+    type: "SET_SETTINGS",
+    settings
+  });
+  if (!response || !response.ok) {
+    throw new Error(response && response.error ? response.error : "Failed to save settings.");
+  }
+
+  for (const input of settingInputs) {
+    writeSettingInput(input, response.settings[input.dataset.setting]);
+  }
+}
+
+function renderFilenamePreview() {
+  const filename = renderFilenameTemplate(filenameTemplateInput.value, FILENAME_PREVIEW_VALUES, {
+    transliterate: filenameTransliterateInput.checked
+  });
+  filenamePreviewEl.textContent = `Preview: ${filename}`;
+}
+
+filenameTemplateInput.addEventListener("input", renderFilenamePreview);
+filenameTransliterateInput.addEventListener("change", renderFilenamePreview);
+
+addRuleButton.addEventListener("click", () => {
+  currentRules.push({
+    id: `rule-${Date.now().toString(36)}`,
+    name: "New rule",
+    enabled: true,
+    hostGlob: "*",
+    pathRegex: "",
+    requiredQueryParams: [],
+    urlContains: "",
+    sourceType: sourceTypes[0]
+  });
+  render();
+  setStatus("Rule added. Fill in the path regex and save.");
+});
+
+resetRulesButton.addEventListener("click", () => {
+  currentRules = cloneRules(defaultRules);
+  render();
+  setStatus("Defaults restored. Save to apply.");
+});
+
+saveButton.addEventListener("click", async () => {
+  saveButton.disabled = true;
+  try {
+    const response = await sendRuntimeMessage({
+      type: "SET_CAPTURE_RULES",
+      rules: currentRules
+    });
+    if (!response || !response.ok) {
+      throw new Error(response && response.error ? response.error : "Failed to save capture rules.");
+    }
+    currentRules = cloneRules(response.rules);
+    render();
+    await saveSettings();
+    setStatus("Saved.");
+  } catch (error) {
+    console.error("Failed to save capture rules", error);
+    setStatus(error.message, true);
+  } finally {
+    saveButton.disabled = false;
+  }
+});
+
+Promise.all([loadRules(), loadSettings().then(renderFilenamePreview)]).catch((error) => {
+  console.error("Failed to load settings", error);
+  setStatus(`Failed to load settings: ${error.message}`, true);
+});
@@ -1,21 +1,122 @@
 const STORAGE_KEY = "capturedPlaylistUrls";
 const DOWNLOAD_STATE_KEY = "downloadStateByMediaKey";
+const DOWNLOAD_QUEUE_KEY = "downloadQueue";
+const COURSE_CAPTURE_STATE_KEY = "courseCaptureState";
+const PAGE_SIZE = 20;
 
 const listEl = document.getElementById("list");
 const statusEl = document.getElementById("status");
 const downloadStatusEl = document.getElementById("downloadStatus");
 const clearButton = document.getElementById("clearButton");
+const settingsButton = document.getElementById("settingsButton");
+const courseButton = document.getElementById("courseButton");
+const scanButton = document.getElementById("scanButton");
+const coursePanelEl = document.getElementById("coursePanel");
+const courseSummaryEl = document.getElementById("courseSummary");
+const courseStopButton = document.getElementById("courseStopButton");
+const courseLessonListEl = document.getElementById("courseLessonList");
+const queuePanelEl = document.getElementById("queuePanel");
+const queueSummaryEl = document.getElementById("queueSummary");
+const queuePauseButton = document.getElementById("queuePauseButton");
+const queueListEl = document.getElementById("queueList");
+const pagerEl = document.getElementById("pager");
+const prevPageButton = document.getElementById("prevPageButton");
+const nextPageButton = document.getElementById("nextPageButton");
+const pageInfoEl = document.getElementById("pageInfo");
 
 let currentItems = [];
 let currentDownloadState = {};
+let currentCourseState = null;
+let currentQueue = { paused: false, items: [] };
+let draggedQueueKey = "";
+let currentPage = 0;
 const pendingStartDownloads = new Set();
 const pendingCancelDownloads = new Set();
 const pendingRemoveItems = new Set();
+// Quality picked per mediaKey; survives re-renders while the popup is open.
+const selectedVariants = new Map();
 
 function formatTime(timestamp) {
   return new Date(timestamp).toLocaleString();
 }
 
+function formatByteSize(bytes) {
+  if (!(bytes > 0)) {
+    return "";
+  }
+  const units = ["B", "KB", "MB", "GB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function formatEta(seconds) {
+  if (seconds >= 3600) {
+    return `${Math.floor(seconds / 3600)}h ${String(Math.floor((seconds % 3600) / 60)).padStart(2, "0")}m`;
+  }
+  if (seconds >= 60) {
+    return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, "0")}s`;
+  }
+  return `${seconds}s`;
+}
+
+const PROGRESS_PHASE_LABELS = {
+  resolving: "Resolving",
+  downloading: "Downloading",
+  processing: "Processing with ffmpeg"
+};
+
+// Suggestions for the errorCode of failed downloads (the fetch error classes of offscreen.js).
+const ERROR_CODE_SUGGESTIONS = {
+  network: "Check your internet connection, then download again; finished segments are reused.",
+  timeout: "The server is answering slowly. Raise the request timeout or lower parallel segment fetches in Settings.",
+  "4xx-auth": "The link expired or needs a login. Play the video in its tab to capture a fresh link, then download again.",
+  "4xx-notfound": "The server no longer has this media. Reload the lesson page to capture a fresh link.",
+  "5xx": "The server had an internal error. Try again in a few minutes.",
+  "429-ratelimit": "The server is limiting requests. Lower parallel segment fetches in Settings and try again later.",
+  "content-invalid": "Some segments arrived damaged. Re-fetch them, or raise the damaged-segment retries in Settings."
+};
+
+function formatProgressText(progress) {
+  const phase = PROGRESS_PHASE_LABELS[progress.phase] || "Running";
+  const parts = [progress.phase === "downloading" && progress.track ? `${phase} ${progress.track}` : phase, `${progress.percent || 0}%`];
+  if (progress.segmentsTotal > 0) {
+    parts.push(`${progress.segmentsDone}/${progress.segmentsTotal} segments`);
+  }
+  if (progress.bytesDone > 0) {
+    const total = formatByteSize(progress.totalBytes);
+    parts.push(total ? `${formatByteSize(progress.bytesDone)} of ~${total}` : formatByteSize(progress.bytesDone));
+  }
+  if (progress.speedBps > 0) {
+    parts.push(`${formatByteSize(progress.speedBps)}/s`);
+  }
+  if (Number.isFinite(progress.etaSeconds) && progress.etaSeconds > 0) {
+    parts.push(`${formatEta(progress.etaSeconds)} left`);
+  }
+  return parts.join(" · ");
+}
+
+function buildProgressElement(progress) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "progressRow";
+  const bar = document.createElement("progress");
+  bar.max = 100;
+  // Without a value the bar is indeterminate, which fits the resolving phase.
+  if (progress.phase !== "resolving") {
+    bar.value = Math.min(100, Math.max(0, Number(progress.percent) || 0));
+  }
+  wrapper.appendChild(bar);
+  const label = document.createElement("div");
+  label.className = "progressLabel";
+  label.textContent = formatProgressText(progress);
+  wrapper.appendChild(label);
+  return wrapper;
+}
+
 function setDownloadStatus(message, isError = false) {
   downloadStatusEl.textContent = message || "";
   if (isError) {
@@ -66,18 +167,42 @@ function getItemMediaKey(item) {
   return mediaInfo ? mediaInfo.mediaKey : item.url;
 }
 
+// "Video 2 of 3: Homework" for items captured on a lesson page with several players.
+function buildPlayerLabel(item) {
+  const index = Number(item.playerIndex);
+  const count = Number(item.playerCount);
+  if (!(index > 0 && count > 1)) {
+    return "";
+  }
+  const heading = typeof item.playerHeading === "string" ? item.playerHeading.trim() : "";
+  return heading ? `Video ${index} of ${count}: ${heading}` : `Video ${index} of ${count}`;
+}
+
 function buildDownloadMetaText(item, mediaKey) {
   const resolution = item.resolution || extractResolutionFallback(item.url);
   const lessonTitle =
     item && typeof item.lessonTitle === "string" && item.lessonTitle.trim() ? item.lessonTitle.trim() : "";
-  const lessonPart = lessonTitle ? `Lesson: ${lessonTitle} | ` : "";
-  const capturedAtText = `${lessonPart}Resolution: ${resolution} | Captured: ${formatTime(item.timestamp)}`;
+  const orderPart = Number.isInteger(item.lessonOrder) ? `#${item.lessonOrder} ` : "";
+  const coursePart = item.courseTitle ? `Course: ${item.courseTitle} | ` : "";
+  const lessonPart = lessonTitle ? `${coursePart}Lesson: ${orderPart}${lessonTitle} | ` : coursePart;
+  const playerLabel = buildPlayerLabel(item);
+  const playerPart = playerLabel ? `${playerLabel} | ` : "";
+  const capturedAtText = `${lessonPart}${playerPart}Resolution: ${resolution} | Captured: ${formatTime(item.timestamp)}`;
 
   const state = isPlainObject(currentDownloadState[mediaKey]) ? currentDownloadState[mediaKey] : null;
   if (!state || !state.state) {
     return capturedAtText;
   }
 
+  if (state.state === "queued") {
+    return `${capturedAtText} | Download: ${state.message || "Queued"}`;
+  }
+  if (state.state === "paused") {
+    return `${capturedAtText} | Download: Paused`;
+  }
+  if (state.state === "interrupted") {
+    return `${capturedAtText} | Download: ${state.message || "Interrupted"}`;
+  }
   if (state.state === "running") {
     return `${capturedAtText} | Download: ${state.message || "Running..."}`;
   }
@@ -87,11 +212,21 @@ function buildDownloadMetaText(item, mediaKey) {
   if (state.state === "cancelled") {
     return `${capturedAtText} | Download: Cancelled`;
   }
+  if (state.state === "saving") {
+    return `${capturedAtText} | Download: ${state.message || "Saving..."}`;
+  }
   if (state.state === "success") {
+    if (state.savedPath) {
+      const size = formatByteSize(state.bytes);
+      const saved = `${capturedAtText} | Saved: ${state.savedPath}${size ? ` (${size})` : ""}`;
+      return state.warning ? `${saved} | Check the file: ${state.warning}` : saved;
+    }
     return `${capturedAtText} | Download: ${state.filename || "Started in Downloads"}`;
   }
   if (state.state === "error") {
-    const base = `${capturedAtText} | Download error: ${state.error || state.message || "Unknown error"}`;
+    const suggestion = ERROR_CODE_SUGGESTIONS[state.errorCode];
+    const error = `${capturedAtText} | Download error: ${state.error || state.message || "Unknown error"}`;
+    const base = suggestion ? `${error} | ${suggestion}` : error;
     const withDebug = state.debugTrace ? `${base} | Debug available` : base;
     return state.ffmpegCommand ? `${withDebug} | FFmpeg command available` : withDebug;
   }
@@ -99,6 +234,33 @@ function buildDownloadMetaText(item, mediaKey) {
   return capturedAtText;
 }
 
+function getItemVariants(item) {
+  return Array.isArray(item.variants)
+    ? item.variants.filter((variant) => isPlainObject(variant) && typeof variant.url === "string" && variant.resolution)
+    : [];
+}
+
+function formatVariantLabel(resolution) {
+  if (resolution === "adaptive") {
+    return "Auto";
+  }
+  return /^\d+$/.test(resolution) ? `${resolution}p` : resolution;
+}
+
+function isQueuedDownloadState(state) {
+  return state?.state === "queued" || state?.state === "paused";
+}
+
+// "saving" counts as busy: Chrome is still writing the file, and starting again would race its settle.
+function isActiveDownloadState(state) {
+  return (
+    state?.state === "running" ||
+    state?.state === "cancel_requested" ||
+    state?.state === "saving" ||
+    isQueuedDownloadState(state)
+  );
+}
+
 function sendRuntimeMessage(message) {
   return new Promise((resolve, reject) => {
     chrome.runtime.sendMessage(message, (response) => {
@@ -118,15 +280,12 @@ async function readLessonTitleFromActiveTab() {
       return "";
     }
 
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tabs[0].id },
-      func: () => {
-        const el = document.querySelector(".lesson-title-value");
-        return el ? (el.textContent || "").trim() : "";
-      }
-    });
-
-    return typeof results[0]?.result === "string" ? results[0].result.trim() : "";
+    // Background applies the lesson title selectors configured on the options page.
+    const response = await sendRuntimeMessage({ type: "READ_LESSON_METADATA", tabId: tabs[0].id });
+    if (!response || !response.ok) {
+      throw new Error(response && response.error ? response.error : "Failed to read lesson metadata.");
+    }
+    return typeof response.metadata.lessonTitle === "string" ? response.metadata.lessonTitle.trim() : "";
   } catch (error) {
     console.warn("Could not read lesson title from active tab", error);
     return "";
@@ -157,7 +316,7 @@ async function persistLessonTitleForMediaKey(mediaKey, lessonTitle) {
     return;
   }
 
-  const data = await chrome.storage.session.get(STORAGE_KEY);
+  const data = await chrome.storage.local.get(STORAGE_KEY);
   const items = Array.isArray(data[STORAGE_KEY]) ? data[STORAGE_KEY] : [];
   let changed = false;
   const nextItems = items.map((item) => {
@@ -175,14 +334,25 @@ async function persistLessonTitleForMediaKey(mediaKey, lessonTitle) {
   });
 
   if (changed) {
-    await chrome.storage.session.set({ [STORAGE_KEY]: nextItems });
+    await chrome.storage.local.set({ [STORAGE_KEY]: nextItems });
   }
 }
 
+function renderPager(pageCount) {
+  pagerEl.hidden = pageCount <= 1;
+  pageInfoEl.textContent = `Page ${currentPage + 1} of ${pageCount}`;
+  prevPageButton.disabled = currentPage === 0;
+  nextPageButton.disabled = currentPage >= pageCount - 1;
+}
+
 function render() {
   statusEl.textContent = `${currentItems.length} captured`;
   listEl.innerHTML = "";
 
+  const pageCount = Math.max(1, Math.ceil(currentItems.length / PAGE_SIZE));
+  currentPage = Math.min(currentPage, pageCount - 1);
+  renderPager(pageCount);
+
   if (currentItems.length === 0) {
     const empty = document.createElement("li");
     empty.className = "empty";
@@ -191,7 +361,8 @@ function render() {
     return;
   }
 
-  for (const item of currentItems) {
+  const pageItems = currentItems.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+  for (const item of pageItems) {
     const mediaKey = getItemMediaKey(item);
     const row = document.createElement("li");
     row.className = "entry";
@@ -238,17 +409,44 @@ function render() {
     downloadButton.textContent = "Download";
 
     const state = isPlainObject(currentDownloadState[mediaKey]) ? currentDownloadState[mediaKey] : null;
-    const isRunningState = state?.state === "running" || state?.state === "cancel_requested";
+    const isRunningState = isActiveDownloadState(state);
     const isRunning =
       pendingStartDownloads.has(mediaKey) || pendingCancelDownloads.has(mediaKey) || isRunningState;
+
+    const variants = getItemVariants(item);
+    if (variants.length > 1) {
+      const qualitySelect = document.createElement("select");
+      qualitySelect.className = "qualitySelect";
+      qualitySelect.title = "Quality to download";
+      for (const variant of variants) {
+        const option = document.createElement("option");
+        option.value = variant.resolution;
+        option.textContent = formatVariantLabel(variant.resolution);
+        qualitySelect.appendChild(option);
+      }
+      qualitySelect.value = selectedVariants.get(mediaKey) || String(item.resolution);
+      qualitySelect.disabled = isRunning || state?.state === "interrupted";
+      qualitySelect.addEventListener("change", () => {
+        selectedVariants.set(mediaKey, qualitySelect.value);
+      });
+      actions.appendChild(qualitySelect);
+    }
+    // Segments that failed the integrity check are fetched again by resuming the kept job.
+    const refetchCount = state?.state === "error" && Array.isArray(state.badSegments) ? state.badSegments.length : 0;
     const isCancelling = pendingCancelDownloads.has(mediaKey) || state?.state === "cancel_requested";
     const isRemoving = pendingRemoveItems.has(mediaKey);
     if (isRunning) {
       downloadButton.className = "stopButton";
-      downloadButton.textContent = isCancelling ? "Stopping..." : "Stop";
+      downloadButton.textContent = isCancelling ? "Stopping..." : isQueuedDownloadState(state) ? "Unqueue" : "Stop";
       downloadButton.disabled = isCancelling;
     }
 
+    if (state?.state === "interrupted") {
+      downloadButton.textContent = "Resume";
+    } else if (refetchCount > 0) {
+      downloadButton.textContent = `Re-fetch ${refetchCount} segment${refetchCount === 1 ? "" : "s"}`;
+    }
+
     if (pendingStartDownloads.has(mediaKey)) {
       downloadButton.disabled = true;
       downloadButton.className = "downloadButton";
@@ -257,7 +455,7 @@ function render() {
 
     downloadButton.addEventListener("click", async () => {
       const latestState = isPlainObject(currentDownloadState[mediaKey]) ? currentDownloadState[mediaKey] : null;
-      const latestIsRunning = latestState?.state === "running" || latestState?.state === "cancel_requested";
+      const latestIsRunning = isActiveDownloadState(latestState);
       if (pendingStartDownloads.has(mediaKey)) {
         return;
       }
@@ -294,35 +492,52 @@ function render() {
       downloadButton.textContent = "Starting";
       setDownloadStatus("Starting download...");
 
-      try {
-        const activeLessonTitle = await readLessonTitleFromActiveTab();
-        const lessonTitle =
-          activeLessonTitle || (typeof item.lessonTitle === "string" ? item.lessonTitle.trim() : "");
-        if (activeLessonTitle) {
-          await persistLessonTitleForMediaKey(mediaKey, activeLessonTitle);
-        }
-        const response = await sendRuntimeMessage({
-          type: "START_DOWNLOAD",
-          url: item.url,
-          lessonTitle,
-          tabId: await readActiveTabId(),
-          pageUrl: await readActiveTabUrl()
-        });
-
-        if (!response || !response.ok) {
-          throw new Error(response && response.error ? response.error : "Failed to start download.");
+      if (latestState?.state === "interrupted" || refetchCount > 0) {
+        try {
+          const response = await sendRuntimeMessage({
+            type: "RESUME_DOWNLOAD",
+            mediaKey
+          });
+          if (!response || !response.ok) {
+            throw new Error(response && response.error ? response.error : "Failed to resume download.");
+          }
+          setDownloadStatus(
+            refetchCount > 0
+              ? `Re-fetching ${refetchCount} segment${refetchCount === 1 ? "" : "s"}. Verified segments are reused.`
+              : "Download resumed. Already saved segments are reused."
+          );
+        } catch (error) {
+          console.error("Failed to resume download", error);
+          setDownloadStatus(`Failed to resume download: ${error.message}`, true);
+        } finally {
+          pendingStartDownloads.delete(mediaKey);
+          await loadAndRender();
         }
-        setDownloadStatus("Download started in background. You can close popup.");
-      } catch (error) {
-        console.error("Failed to start download", error);
-        setDownloadStatus(`Failed to start download: ${error.message}`, true);
-      } finally {
-        pendingStartDownloads.delete(mediaKey);
-        await loadAndRender();
+        return;
       }
+
+      await startItemDownload(item, mediaKey, "video");
     });
     actions.appendChild(downloadButton);
 
+    if (!isRunning && state?.state !== "interrupted") {
+      const audioButton = document.createElement("button");
+      audioButton.type = "button";
+      audioButton.className = "copyButton";
+      audioButton.textContent = "Download audio";
+      audioButton.addEventListener("click", async () => {
+        if (pendingStartDownloads.has(mediaKey)) {
+          return;
+        }
+        pendingStartDownloads.add(mediaKey);
+        audioButton.disabled = true;
+        audioButton.textContent = "Starting";
+        setDownloadStatus("Starting audio download...");
+        await startItemDownload(item, mediaKey, "audio");
+      });
+      actions.appendChild(audioButton);
+    }
+
     const removeButton = document.createElement("button");
     removeButton.type = "button";
     removeButton.className = "removeButton";
@@ -330,7 +545,7 @@ function render() {
     removeButton.disabled = isRunning || isRemoving;
     removeButton.addEventListener("click", async () => {
       const latestState = isPlainObject(currentDownloadState[mediaKey]) ? currentDownloadState[mediaKey] : null;
-      const latestIsRunning = latestState?.state === "running" || latestState?.state === "cancel_requested";
+      const latestIsRunning = isActiveDownloadState(latestState);
       if (latestIsRunning || pendingStartDownloads.has(mediaKey) || pendingCancelDownloads.has(mediaKey)) {
         setDownloadStatus("Stop the download first, then remove the item.", true);
         return;
@@ -341,17 +556,16 @@ function render() {
       removeButton.textContent = "Removing...";
 
       try {
-        const data = await chrome.storage.session.get([STORAGE_KEY, DOWNLOAD_STATE_KEY]);
-        const items = Array.isArray(data[STORAGE_KEY]) ? data[STORAGE_KEY] : [];
-        const downloadState = isPlainObject(data[DOWNLOAD_STATE_KEY]) ? data[DOWNLOAD_STATE_KEY] : {};
+        const itemData = await chrome.storage.local.get(STORAGE_KEY);
+        const stateData = await chrome.storage.session.get(DOWNLOAD_STATE_KEY);
+        const items = Array.isArray(itemData[STORAGE_KEY]) ? itemData[STORAGE_KEY] : [];
+        const downloadState = isPlainObject(stateData[DOWNLOAD_STATE_KEY]) ? stateData[DOWNLOAD_STATE_KEY] : {};
 
         const filteredItems = items.filter((candidate) => getItemMediaKey(candidate) !== mediaKey);
         delete downloadState[mediaKey];
 
-        await chrome.storage.session.set({
-          [STORAGE_KEY]: filteredItems,
-          [DOWNLOAD_STATE_KEY]: downloadState
-        });
+        await chrome.storage.local.set({ [STORAGE_KEY]: filteredItems });
+        await chrome.storage.session.set({ [DOWNLOAD_STATE_KEY]: downloadState });
         setDownloadStatus("Item removed.");
       } catch (error) {
         console.error("Failed to remove item", error);
@@ -413,45 +627,327 @@ function render() {
 
     row.appendChild(top);
     row.appendChild(meta);
+    if (state?.state === "running" && isPlainObject(state.progress)) {
+      row.appendChild(buildProgressElement(state.progress));
+    }
     listEl.appendChild(row);
   }
 }
 
+// Caller marks mediaKey in pendingStartDownloads; exportMode "audio" saves only the sound track.
+async function startItemDownload(item, mediaKey, exportMode) {
+  try {
+    const activeLessonTitle = await readLessonTitleFromActiveTab();
+    const lessonTitle = activeLessonTitle || (typeof item.lessonTitle === "string" ? item.lessonTitle.trim() : "");
+    if (activeLessonTitle) {
+      await persistLessonTitleForMediaKey(mediaKey, activeLessonTitle);
+    }
+    const selectedResolution = selectedVariants.get(mediaKey);
+    const variant =
+      selectedResolution && selectedResolution !== String(item.resolution)
+        ? getItemVariants(item).find((candidate) => candidate.resolution === selectedResolution) || null
+        : null;
+    const response = await sendRuntimeMessage({
+      type: "START_DOWNLOAD",
+      url: item.url,
+      mediaKey,
+      sourceType: typeof item.sourceType === "string" ? item.sourceType : "",
+      lessonTitle,
+      tabId: await readActiveTabId(),
+      pageUrl: await readActiveTabUrl(),
+      variant,
+      exportMode
+    });
+
+    if (!response || !response.ok) {
+      throw new Error(response && response.error ? response.error : "Failed to start download.");
+    }
+    setDownloadStatus(
+      `${exportMode === "audio" ? "Audio download" : "Download"} queued. It runs in background; you can close popup.`
+    );
+  } catch (error) {
+    console.error("Failed to start download", error);
+    setDownloadStatus(`Failed to start download: ${error.message}`, true);
+  } finally {
+    pendingStartDownloads.delete(mediaKey);
+    await loadAndRender();
+  }
+}
+
+function findCapturedItem(mediaKey) {
+  return currentItems.find((item) => getItemMediaKey(item) === mediaKey) || null;
+}
+
+function describeQueueEntry(entry) {
+  const item = findCapturedItem(entry.mediaKey);
+  const title = entry.lessonTitle || (item && item.lessonTitle) || entry.mediaKey;
+  const state = isPlainObject(currentDownloadState[entry.mediaKey]) ? currentDownloadState[entry.mediaKey] : null;
+  if (entry.status === "running") {
+    const percent = isPlainObject(state?.progress) ? ` (${state.progress.percent || 0}%)` : "";
+    return `${title} - ${(state && state.message) || "Running..."}${percent}`;
+  }
+  return `${title} - ${entry.status === "paused" ? "Paused" : "Queued"}`;
+}
+
+async function sendQueueMessage(message) {
+  try {
+    const response = await sendRuntimeMessage(message);
+    if (!response || !response.ok) {
+      throw new Error(response && response.error ? response.error : "Queue update failed.");
+    }
+  } catch (error) {
+    console.error("Queue update failed", error);
+    setDownloadStatus(error.message, true);
+  }
+}
+
+function moveQueueEntry(fromKey, toKey) {
+  const order = currentQueue.items.map((entry) => entry.mediaKey);
+  const fromIndex = order.indexOf(fromKey);
+  const toIndex = order.indexOf(toKey);
+  if (fromIndex < 0 || toIndex < 0 || fromIndex === toIndex) {
+    return;
+  }
+  order.splice(fromIndex, 1);
+  order.splice(toIndex, 0, fromKey);
+  sendQueueMessage({ type: "REORDER_DOWNLOAD_QUEUE", order });
+}
+
+function renderQueue() {
+  const entries = currentQueue.items;
+  queuePanelEl.hidden = entries.length === 0 && !currentQueue.paused;
+  queueListEl.innerHTML = "";
+
+  const runningCount = entries.filter((entry) => entry.status === "running").length;
+  const waitingCount = entries.length - runningCount;
+  const pausedText = currentQueue.paused ? " (paused)" : "";
+  queueSummaryEl.textContent = `Queue${pausedText}: ${runningCount} running, ${waitingCount} waiting`;
+  queuePauseButton.textContent = currentQueue.paused ? "Resume queue" : "Pause queue";
+
+  for (const entry of entries) {
+    const line = document.createElement("li");
+    line.className = `queueEntry ${entry.status}`;
+    line.draggable = true;
+    line.title = "Drag to reorder";
+    line.addEventListener("dragstart", (event) => {
+      draggedQueueKey = entry.mediaKey;
+      event.dataTransfer.effectAllowed = "move";
+    });
+    line.addEventListener("dragover", (event) => {
+      if (draggedQueueKey && draggedQueueKey !== entry.mediaKey) {
+        event.preventDefault();
+        line.classList.add("dropTarget");
+      }
+    });
+    line.addEventListener("dragleave", () => {
+      line.classList.remove("dropTarget");
+    });
+    line.addEventListener("drop", (event) => {
+      event.preventDefault();
+      line.classList.remove("dropTarget");
+      moveQueueEntry(draggedQueueKey, entry.mediaKey);
+      draggedQueueKey = "";
+    });
+    line.addEventListener("dragend", () => {
+      draggedQueueKey = "";
+    });
+
+    const label = document.createElement("span");
+    label.className = "queueLabel";
+    label.textContent = describeQueueEntry(entry);
+    line.appendChild(label);
+
+    const toggleButton = document.createElement("button");
+    toggleButton.type = "button";
+    toggleButton.className = "removeButton";
+    toggleButton.textContent = entry.status === "paused" ? "Resume" : "Pause";
+    toggleButton.addEventListener("click", () => {
+      toggleButton.disabled = true;
+      sendQueueMessage({
+        type: entry.status === "paused" ? "RESUME_DOWNLOAD" : "PAUSE_DOWNLOAD",
+        mediaKey: entry.mediaKey
+      });
+    });
+    line.appendChild(toggleButton);
+    queueListEl.appendChild(line);
+  }
+}
+
+const COURSE_LESSON_STATE_LABELS = {
+  pending: "Pending",
+  visiting: "Visiting...",
+  captured: "Captured",
+  failed: "Failed",
+  skipped: "Skipped"
+};
+
+function renderCourseCapture() {
+  const state = currentCourseState;
+  const lessons = state && Array.isArray(state.lessons) ? state.lessons : [];
+  const running = Boolean(state) && state.status === "running";
+  courseButton.disabled = running;
+  coursePanelEl.hidden = lessons.length === 0;
+  courseStopButton.hidden = !running;
+  courseLessonListEl.innerHTML = "";
+  if (lessons.length === 0) {
+    return;
+  }
+
+  const capturedCount = lessons.filter((lesson) => lesson.state === "captured").length;
+  const failedCount = lessons.filter((lesson) => lesson.state === "failed").length;
+  const statusText = running ? "Capturing" : state.status === "cancelled" ? "Stopped" : "Finished";
+  const failedText = failedCount > 0 ? `, ${failedCount} failed` : "";
+  courseSummaryEl.textContent = `${statusText}: ${capturedCount}/${lessons.length} lessons captured${failedText}`;
+
+  for (const lesson of lessons) {
+    const line = document.createElement("li");
+    line.className = lesson.state || "pending";
+    const label = COURSE_LESSON_STATE_LABELS[lesson.state] || lesson.state;
+    const errorText = lesson.state === "failed" && lesson.error ? ` (${lesson.error})` : "";
+    line.textContent = `${lesson.order}. ${lesson.title || lesson.url} - ${label}${errorText}`;
+    courseLessonListEl.appendChild(line);
+  }
+}
+
+function normalizeQueue(value) {
+  return {
+    paused: isPlainObject(value) && value.paused === true,
+    items: isPlainObject(value) && Array.isArray(value.items) ? value.items.filter(isPlainObject) : []
+  };
+}
+
 async function loadAndRender() {
-  const data = await chrome.storage.session.get([STORAGE_KEY, DOWNLOAD_STATE_KEY]);
-  currentItems = Array.isArray(data[STORAGE_KEY]) ? data[STORAGE_KEY] : [];
-  currentDownloadState = isPlainObject(data[DOWNLOAD_STATE_KEY]) ? data[DOWNLOAD_STATE_KEY] : {};
+  const itemData = await chrome.storage.local.get(STORAGE_KEY);
+  const stateData = await chrome.storage.session.get([DOWNLOAD_STATE_KEY, DOWNLOAD_QUEUE_KEY, COURSE_CAPTURE_STATE_KEY]);
+  currentItems = Array.isArray(itemData[STORAGE_KEY]) ? itemData[STORAGE_KEY] : [];
+  currentDownloadState = isPlainObject(stateData[DOWNLOAD_STATE_KEY]) ? stateData[DOWNLOAD_STATE_KEY] : {};
+  currentCourseState = isPlainObject(stateData[COURSE_CAPTURE_STATE_KEY]) ? stateData[COURSE_CAPTURE_STATE_KEY] : null;
+  currentQueue = normalizeQueue(stateData[DOWNLOAD_QUEUE_KEY]);
   render();
+  renderQueue();
+  renderCourseCapture();
 }
 
 clearButton.addEventListener("click", async () => {
-  await chrome.storage.session.set({
-    [STORAGE_KEY]: [],
-    [DOWNLOAD_STATE_KEY]: {}
-  });
-  pendingStartDownloads.clear();
-  pendingCancelDownloads.clear();
-  pendingRemoveItems.clear();
-  setDownloadStatus("");
+  try {
+    // Background also drops queued downloads and their saved segments.
+    const response = await sendRuntimeMessage({ type: "CLEAR_CAPTURED_ITEMS" });
+    if (!response || !response.ok) {
+      throw new Error(response && response.error ? response.error : "Failed to clear items.");
+    }
+    currentPage = 0;
+    pendingStartDownloads.clear();
+    pendingCancelDownloads.clear();
+    pendingRemoveItems.clear();
+    setDownloadStatus("");
+  } catch (error) {
+    console.error("Failed to clear items", error);
+    setDownloadStatus(`Failed to clear items: ${error.message}`, true);
+  }
 });
 
-chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName !== "session") {
-    return;
+scanButton.addEventListener("click", async () => {
+  scanButton.disabled = true;
+  try {
+    const response = await sendRuntimeMessage({
+      type: "SCAN_TAB",
+      tabId: await readActiveTabId()
+    });
+    if (!response || !response.ok) {
+      throw new Error(response && response.error ? response.error : "Failed to scan the tab.");
+    }
+    setDownloadStatus(
+      response.found > 0
+        ? `Found ${response.found} media in this tab.`
+        : "No media found in this tab. Press play in the player, then scan again."
+    );
+  } catch (error) {
+    console.error("Failed to scan tab", error);
+    setDownloadStatus(error.message, true);
+  } finally {
+    scanButton.disabled = false;
+  }
+});
+
+courseButton.addEventListener("click", async () => {
+  courseButton.disabled = true;
+  try {
+    const tabId = await readActiveTabId();
+    const response = await sendRuntimeMessage({
+      type: "START_COURSE_CAPTURE",
+      tabId
+    });
+    if (!response || !response.ok) {
+      throw new Error(response && response.error ? response.error : "Failed to start course capture.");
+    }
+    setDownloadStatus(`Capturing ${response.lessonCount} lessons in background tabs...`);
+  } catch (error) {
+    console.error("Failed to start course capture", error);
+    setDownloadStatus(error.message, true);
+    renderCourseCapture();
+  }
+});
+
+courseStopButton.addEventListener("click", async () => {
+  courseStopButton.disabled = true;
+  try {
+    await sendRuntimeMessage({ type: "CANCEL_COURSE_CAPTURE" });
+  } catch (error) {
+    console.error("Failed to stop course capture", error);
+    setDownloadStatus(error.message, true);
+  } finally {
+    courseStopButton.disabled = false;
   }
+});
+
+queuePauseButton.addEventListener("click", async () => {
+  queuePauseButton.disabled = true;
+  await sendQueueMessage({ type: currentQueue.paused ? "RESUME_DOWNLOAD_QUEUE" : "PAUSE_DOWNLOAD_QUEUE" });
+  queuePauseButton.disabled = false;
+});
+
+settingsButton.addEventListener("click", () => {
+  chrome.runtime.openOptionsPage();
+});
 
-  if (changes[STORAGE_KEY]) {
+prevPageButton.addEventListener("click", () => {
+  currentPage = Math.max(0, currentPage - 1);
+  render();
+});
+
+nextPageButton.addEventListener("click", () => {
+  currentPage += 1;
+  render();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes[STORAGE_KEY]) {
     const nextItems = Array.isArray(changes[STORAGE_KEY].newValue) ? changes[STORAGE_KEY].newValue : [];
     currentItems = nextItems;
+    render();
+    return;
   }
 
-  if (changes[DOWNLOAD_STATE_KEY]) {
-    currentDownloadState = isPlainObject(changes[DOWNLOAD_STATE_KEY].newValue)
-      ? changes[DOWNLOAD_STATE_KEY].newValue
-      : {};
+  if (areaName === "session" && changes[COURSE_CAPTURE_STATE_KEY]) {
+    currentCourseState = isPlainObject(changes[COURSE_CAPTURE_STATE_KEY].newValue)
+      ? changes[COURSE_CAPTURE_STATE_KEY].newValue
+      : null;
+    renderCourseCapture();
   }
 
-  render();
+  if (areaName === "session" && changes[DOWNLOAD_QUEUE_KEY]) {
+    currentQueue = normalizeQueue(changes[DOWNLOAD_QUEUE_KEY].newValue);
+  }
+
+  if (areaName === "session" && (changes[DOWNLOAD_STATE_KEY] || changes[DOWNLOAD_QUEUE_KEY])) {
+    if (changes[DOWNLOAD_STATE_KEY]) {
+      currentDownloadState = isPlainObject(changes[DOWNLOAD_STATE_KEY].newValue)
+        ? changes[DOWNLOAD_STATE_KEY].newValue
+        : {};
+    }
+    render();
+    renderQueue();
+  }
 });
 
 loadAndRender().catch((error) => {